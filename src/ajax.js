@@ -1,46 +1,207 @@
 /**
- * Parse an object to params string - won't parse complex object
+ * Parse an object to params string, nested objects and arrays are encoded in bracket notation to any depth
  *
  * @param args {Object} - an object to parse - example - {
- *     key_1: simple_value {String|Number},
- *     key_2: [value1, value2, etc...] - an array of simple values,
+ *     key_1: simple_value {String|Number|Boolean|Date} - booleans are sent as true/false, dates as ISO strings,
+ *     key_2: [value1, value2, etc...] - an array of values,
  *     key_3: {
  *         sub_key_1: simple_value,
+ *         sub_key_2: {...} - nested objects and arrays,
  *         etc
  *     },
  *     etc
  * }
+ * undefined and null values are skipped
+ * @param options {Object} (optional) - {
+ *     array_format: {String} - how arrays are encoded -
+ *                              'brackets' (default) - a[]=1&a[]=2
+ *                              'indices' - a[0]=1&a[1]=2
+ *                              'comma' - a=1,2
+ *                              'repeat' - a=1&a=2
+ *                              arrays holding objects or arrays are always encoded with indices
+ * }
  * @return {string} - URI-encoded params string
  * @constructor
  */
-const ToParamString = function (args) {
+const ToParamString = function (args, options) {
+    let array_format = (options && options.array_format) || 'brackets';
     let new_args = [];
 
-    // preprocess
-    Object.keys(args).forEach(function(k) {
-        let v = args[k];
+    const encode = function(v) {
+        return encodeURIComponent((v instanceof Date) ? v.toISOString() : v);
+    };
+
+    const isNested = function(v) {
+        return typeof v === 'object' && v !== null && !(v instanceof Date);
+    };
+
+    const add = function(k, v) {
+        if (typeof v === 'undefined' || v === null) { return; }
 
-        if (typeof v !== 'undefined' && v !== null) {
-            if (v.constructor === Object) {
-                Object.keys(v).forEach(function (sub_k) {
-                    let sub_v = v[sub_k];
-                    let sub_k_str = k + '[' + sub_k + ']';
-                    new_args.push([sub_k_str, sub_v])
+        if (Array.isArray(v)) {
+            let values = v.filter((sub_v) => typeof sub_v !== 'undefined' && sub_v !== null);
+            let complex = values.some(isNested);
+
+            if (array_format === 'comma' && !complex) {
+                if (values.length > 0) { new_args.push(encodeURIComponent(k) + '=' + values.map(encode).join(',')); }
+            } else {
+                v.forEach(function (sub_v, i) {
+                    if (complex || array_format === 'indices') {
+                        add(k + '[' + i + ']', sub_v);
+                    } else {
+                        add((array_format === 'repeat') ? k : k + '[]', sub_v);
+                    }
                 });
-            } else if (v.constructor === Array) {
-                v.forEach(function (sub_v) {
-                    let sub_k_str = k + '[]';
-                    new_args.push([sub_k_str, sub_v])
-                })
+            }
+        } else if (isNested(v)) {
+            Object.keys(v).forEach(function (sub_k) { add(k + '[' + sub_k + ']', v[sub_k]); });
+        } else {
+            new_args.push(encodeURIComponent(k) + '=' + encode(v));
+        }
+    };
+
+    Object.keys(args).forEach(function(k) { add(k, args[k]); });
+
+    return new_args.join("&");
+};
+
+/**
+ * Parse a params string (a query string, location.search or an urlencoded body) back to an object, the inverse of
+ * ToParamString - bracket notation keys are parsed to nested objects and arrays and repeated keys are collected
+ * to an array
+ *
+ * @param str {String} - the params string, a leading ? or # is ignored
+ * @param options {Object} (optional) - {
+ *     array_format: {String} - pass 'comma' to split comma separated values to arrays, see ToParamString
+ *     coerce: {Boolean} - parse 'true', 'false' and numeric values to booleans and numbers (default: false)
+ * }
+ * @return {Object} - the parsed object
+ * @constructor
+ */
+const ParseParamString = function (str, options) {
+    options = options || {};
+
+    let result = {};
+
+    // malformed escapes (a lone %) are kept as they are
+    const unescape = function(v) {
+        v = v.replace(/\+/g, ' ');
+        try { return decodeURIComponent(v); } catch (e) { return v; }
+    };
+
+    const decode = function(v) {
+        v = unescape(v);
+
+        if (options.coerce) {
+            if (v === 'true' || v === 'false') { return v === 'true'; }
+            if (v.trim().length > 0 && !isNaN(v) && String(Number(v)) === v) { return Number(v); }
+        }
+
+        return v;
+    };
+
+    (str || '').replace(/^[?#]/, '').split('&').forEach(function (pair) {
+        if (pair.length === 0) { return; }
+
+        let i = pair.indexOf('=');
+        let raw_k = (i > -1) ? pair.slice(0, i) : pair;
+        let raw_v = (i > -1) ? pair.slice(i + 1) : '';
+
+        let k = unescape(raw_k);
+        let v = (options.array_format === 'comma' && raw_v.indexOf(',') > -1) ? raw_v.split(',').map(decode) : decode(raw_v);
+
+        ParseParamString.set(result, k, v);
+    });
+
+    return result;
+};
+
+/**
+ * Split a bracket notation key to its path - a[b][0][] => ['a', 'b', '0', '']
+ *
+ * @param k {String} - the key
+ * @return {Array} - the path segments
+ */
+ParseParamString.path = function (k) {
+    let path = [k.replace(/\[.*$/, '')];
+    let brackets = k.slice(path[0].length).match(/\[[^\]]*\]/g) || [];
+    brackets.forEach(function (b) { path.push(b.slice(1, -1)); });
+
+    return path;
+};
+
+/**
+ * Set a value in an object by its bracket notation key, creating the nested objects and arrays on the way, an empty
+ * bracket pushes to an array and setting an existing key collects the values to an array (a=1&a[]=2 => ['1', '2']).
+ * only own keys count as existing, so toString or hasOwnProperty are set like any other key
+ *
+ * @param result {Object} - the object to set the value in
+ * @param k {String} - the bracket notation key - a, a[b], a[b][0], a[], etc...
+ * @param v {*} - the value to set
+ * @return {Object} - the result object
+ */
+ParseParamString.set = function (result, k, v) {
+    let path = ParseParamString.path(k);
+
+    // never let a params string reach the prototypes
+    if (path.indexOf('__proto__') > -1) { return result; }
+
+    const has = (target, seg) => Object.prototype.hasOwnProperty.call(target, seg);
+    let target = result;
+
+    path.forEach(function (seg, j) {
+        if (Array.isArray(target) && seg === '') { seg = target.length; }
+
+        if (j === path.length - 1) {
+            if (!has(target, seg)) {
+                target[seg] = v;
             } else {
-                new_args.push([k, v])
+                // repeated key
+                target[seg] = [].concat(target[seg], v);
             }
+            return;
         }
+
+        if (!has(target, seg) || typeof target[seg] !== 'object' || target[seg] === null) {
+            let array = (path[j + 1] === '' || /^\d+$/.test(path[j + 1]));
+
+            // a scalar set by a plain key before (a=1&a[]=2) stays the first item of the array
+            target[seg] = (array && has(target, seg) && typeof target[seg] !== 'undefined') ? [target[seg]] : (array ? [] : {});
+        }
+
+        target = target[seg];
     });
 
-    return new_args.map( (arr) => { return encodeURIComponent(arr[0]) + '=' + encodeURIComponent(arr[1]) }).join("&");
+    return result;
 };
 
+/**
+ * The error an Ajax request is rejected with
+ *
+ * type - 'abort' (aborted by the caller or its signal), 'timeout', 'network' (no response),
+ *        'http' (a non 2xx response) or 'parse' (the response body could not be parsed)
+ * status, statusText, headers, data (the parsed response body) and xhr are copied from the response when the
+ * server responded
+ *
+ * @param message {String} - a human readable description of the error
+ * @param type {String} - the error type - 'abort', 'timeout', 'network', 'http' or 'parse'
+ * @param response {Object} (optional) - the response object, available when the server responded
+ */
+class AjaxError extends Error {
+    constructor(message, type, response) {
+        super(message);
+
+        this.name = 'AjaxError';
+        this.type = type;
+        this.response = response || null;
+        this.status = (response) ? response.status : 0;
+        this.statusText = (response) ? response.statusText : '';
+        this.headers = (response) ? response.headers : {};
+        this.data = (response && typeof response.data !== 'undefined') ? response.data : null;
+        this.xhr = (response) ? response.xhr : null;
+    }
+}
+
 /**
  * A jQuery-like ajax function for asynchronous HTTP requests
  *
@@ -50,14 +211,711 @@ const ToParamString = function (args) {
  *     content_type: {String} - the request content_type (default: application/x-www-form-urlencoded),
  *                              passing content_type false is used for multipart/form-data forms that pass files
  *     url: {String} - the request url
- *
+ *     data: {Object|FormData|String} (optional) - the request data, sent as query params for GET requests, a string
+ *                                                 is sent as is (an already encoded params string)
+ *     array_format: {String} (optional) - how arrays in data are encoded, see ToParamString
+ *     headers: {Object} (optional) - additional request headers - header name to value dictionary
+ *     success: {Function} (optional) - called with the response data and the xhr when the request succeeds
+ *     error: {Function} (optional) - called with the AjaxError when the request fails
+ *     response_type: {String} (optional) - how to read the response body - 'json', 'text', 'blob', 'arraybuffer'
+ *                                          or 'document', by default json content types are parsed as json and
+ *                                          anything else is read as text
+ *     timeout: {Number} (optional) - milliseconds to wait for a response before the request (attempt) is aborted
+ *     retry: {Number|Object} (optional) - the number of times to retry a failed request or retry options, see
+ *                                         Ajax.retryDefaults
+ *     queue: {Boolean} (optional) - pass false to keep the request out of the offline queue, see Ajax.queue
+ *     onUploadProgress: {Function} (optional) - called with the upload progress - see Ajax.progressHandler
+ *     onDownloadProgress: {Function} (optional) - called with the download progress - see Ajax.progressHandler
+ *     progress_target: {Element|NodeList} (optional) - dispatch the upload and download progress from this element
+ *                                                      as ajax:progress events
+ *     signal: {AbortSignal} (optional) - aborts the request when the signal is aborted
+ *     cache: {Boolean|Object} (optional) - cache GET responses - true or cache options {ttl, max_age}, see Ajax.cache
+ *     cache_key: {String} (optional) - the key the response is cached by, instead of the url, response_type and
+ *                                      request headers, see Ajax.cache.key
+ *     transport: {String|Function} (optional) - 'xhr' (default), 'fetch' or a custom transport function,
+ *                                               see Ajax.transports
  * }
  *
+ * @return {Promise} - a promise resolved with the response object - {data, status, statusText, headers, xhr},
+ *                     or rejected with an AjaxError, call its abort() method to cancel the request. requests that
+ *                     were put in the offline queue are rejected with an AjaxError flagged as queued
  * @constructor
  */
 const Ajax = function (settings) {
-    let xhr = new XMLHttpRequest();
+    const original = settings;
+    let abort_transport = function() {};
+    let timer = null;
+    let settled = false;
+    let started = false;
+    let fail;
+
+    const onSignalAbort = function() { fail(new AjaxError('Request aborted', 'abort')); };
+
+    // run the success and error callbacks outside the promise chain, so what they throw reaches window.onerror
+    // instead of rejecting a promise no one handles
+    const callback = function(fn, ...args) {
+        try {
+            fn(...args);
+        } catch (e) {
+            setTimeout(function() { throw e; });
+        }
+    };
+
+    let promise = new Promise(function (resolve, reject) {
+        // pass the result through the response interceptors before it reaches the caller
+        const complete = function(result) {
+            if (settled) { return; }
+
+            settled = true;
+            clearTimeout(timer);
+            if (settings.signal) { settings.signal.removeEventListener('abort', onSignalAbort); }
+
+            Ajax.interceptors.forEach(function (middleware) {
+                if (middleware.response || middleware.error) { result = result.then(middleware.response, middleware.error); }
+            });
+
+            result.then(function (response) {
+                resolve(response);
+                Ajax.trigger('ajax:complete', {settings: settings, response: response});
+
+                // request completed successfully
+                if (typeof settings.success === 'function') { callback(settings.success, response.data, response.xhr); }
+            }, function (error) {
+                reject(error);
+
+                // every ajax:complete follows an ajax:start, requests failing before they start (aborted, rejected by
+                // a request interceptor) only reject
+                if (started) {
+                    Ajax.trigger('ajax:error', {settings: settings, error: error});
+                    Ajax.trigger('ajax:complete', {settings: settings, error: error});
+                }
+
+                // there was an error with the request
+                if (typeof settings.error === 'function') { callback(settings.error, error); }
+            });
+        };
+
+        fail = function(error) {
+            if (settled) { return; }
+            if (error.type === 'abort') { abort_transport(); }
+
+            complete(Promise.reject(error));
+        };
+
+        let attempt = 0;
+
+        const start = function(request) {
+            if (started) { return; }
+
+            started = true;
+            Ajax.trigger('ajax:start', {settings: settings, request: request});
+        };
+
+        // retry the request if the retry settings allow it, otherwise fail it (queueing it if we are offline)
+        const retryOrFail = function(error) {
+            if (settled) { return; }
+
+            clearTimeout(timer);
+            if (error.type === 'timeout') { abort_transport(); }
+
+            let retry = Ajax.retryOptions(settings.retry);
+
+            if (retry !== null && Ajax.shouldRetry(retry, settings, error, attempt)) {
+                attempt++;
+
+                let delay = Ajax.retryDelay(retry, attempt);
+                Ajax.trigger('ajax:retry', {settings: settings, error: error, attempt: attempt, delay: delay});
+
+                timer = setTimeout(send, delay);
+                return;
+            }
+
+            // queue the caller's settings, the request interceptors run again when the request is replayed so the
+            // headers they add (Authorization, CSRF tokens) are never persisted
+            if (error.type === 'network' && Ajax.queue.accepts(settings)) {
+                Ajax.queue.add(original);
+                error.queued = true;
+            }
+
+            fail(error);
+        };
+
+        const load = function(response) {
+            if (settled) { return; }
+
+            let success = response.status >= 200 && response.status < 300;
+
+            try {
+                response.data = Ajax.parseResponse(response, settings.response_type);
+            } catch (e) {
+                if (success) {
+                    fail(new AjaxError(`Failed to parse the response: ${e.message}`, 'parse', response));
+                    return;
+                }
+
+                // keep the raw body of error responses that can't be parsed
+                response.data = response.body;
+            }
+
+            if (!success) {
+                retryOrFail(new AjaxError(`Request failed with status ${response.status}`, 'http', response));
+            } else {
+                complete(Promise.resolve(response));
+            }
+        };
+
+        const send = function() {
+            if (settled) { return; }
+
+            let transport = (typeof settings.transport === 'function') ? settings.transport : Ajax.transports[settings.transport || 'xhr'];
+            let request = Ajax.buildRequest(settings);
+
+            if (settings.cache && request.method === 'GET') { transport = Ajax.cache.transport(transport, settings.cache, settings.cache_key); }
+
+            start(request);
+
+            if (settings.timeout > 0) {
+                timer = setTimeout(function() { retryOrFail(new AjaxError(`Request timed out after ${settings.timeout}ms`, 'timeout')); }, settings.timeout);
+            }
+
+            let handlers = {
+                load: load,
+                error: function() { retryOrFail(new AjaxError('Network error', 'network')); }
+            };
+
+            // only ask for upload progress when it's needed, listening to it forces a CORS preflight request
+            if (typeof settings.onUploadProgress === 'function' || settings.progress_target) {
+                handlers.uploadProgress = Ajax.progressHandler(settings, 'upload');
+            }
+            if (typeof settings.onDownloadProgress === 'function' || settings.progress_target) {
+                handlers.downloadProgress = Ajax.progressHandler(settings, 'download');
+            }
+
+            abort_transport = transport(request, handlers) || function() {};
+        };
+
+        if (settings.signal) {
+            if (settings.signal.aborted) { return fail(new AjaxError('Request aborted', 'abort')); }
+            settings.signal.addEventListener('abort', onSignalAbort);
+        }
+
+        // let the request interceptors rewrite the settings before the request is opened
+        let prepared = Promise.resolve(Object.assign({}, settings));
+
+        Ajax.interceptors.forEach(function (middleware) {
+            if (typeof middleware.request === 'function') {
+                prepared = prepared.then(function (s) {
+                    return Promise.resolve(middleware.request(s)).then(function (result) { return result || s; });
+                });
+            }
+        });
+
+        prepared.then(function (prepared_settings) {
+            if (settled) { return; }
+
+            settings = prepared_settings;
+
+            // don't bother sending requests we already know can't reach the server
+            if (typeof navigator !== 'undefined' && navigator.onLine === false && Ajax.queue.accepts(settings)) {
+                start(Ajax.buildRequest(settings));
+                return retryOrFail(new AjaxError('Network error - offline', 'network'));
+            }
+
+            send();
+        }).catch(fail);
+    });
+
+    // callback style callers (success or error) don't use the promise, don't report their failures as unhandled
+    // rejections - the promise still rejects for callers that chain on it
+    if (typeof settings.success === 'function' || typeof settings.error === 'function') { promise.catch(function() {}); }
+
+    /**
+     * Cancel the request, rejecting it with an 'abort' AjaxError
+     *
+     * @return {Promise} - the request promise
+     */
+    promise.abort = function() {
+        fail(new AjaxError('Request aborted', 'abort'));
+        return promise;
+    };
+
+    return promise;
+};
+
+/**
+ * The global middleware pipeline every request goes through, in order. A middleware is an object with any of -
+ * {
+ *     request: {Function} - receives a copy of the request settings before the request is opened, may change them
+ *                           and return them (or a promise of them), throwing rejects the request
+ *     response: {Function} - receives the response object of a successful request, returns the response (or a
+ *                            promise of it) passed on to the next middleware, throwing rejects the request
+ *     error: {Function} - receives the AjaxError of a failed request, rethrow it to keep the request failed or
+ *                         return a response object to recover
+ * }
+ *
+ * @type {Array}
+ */
+Ajax.interceptors = [];
+
+/**
+ * Add a middleware to the end of the Ajax.interceptors pipeline
+ *
+ * @param middleware {Object} - {request, response, error} - see Ajax.interceptors
+ * @return {Function} - call to remove the middleware from the pipeline
+ */
+Ajax.use = function (middleware) {
+    Ajax.interceptors.push(middleware);
+
+    return function() {
+        let i = Ajax.interceptors.indexOf(middleware);
+        if (i > -1) { Ajax.interceptors.splice(i, 1); }
+    };
+};
+
+/**
+ * Dispatch an Ajax event (ajax:start, ajax:retry, ajax:complete, ajax:error, etc...) from the Document, or from the
+ * given target, with our dispatch function - it works whether or not the built-in prototypes were extended
+ *
+ * @param action {String} - the event name
+ * @param detail {Object} - the event details
+ * @param target {Document|Window|Element|NodeList|ElementsCollection} (optional) - the event target
+ *                                                                                  (default: document)
+ */
+Ajax.trigger = function (action, detail, target) {
+    target = target || ((typeof document !== 'undefined') ? document : undefined);
+
+    if (!target) { return; }
+
+    if (typeof target.dispatch === 'function') {
+        target.dispatch(action, detail);
+    } else if (typeof Elements !== 'undefined') {
+        Elements.dispatch.call(target, action, detail);
+    }
+};
 
+/**
+ * Create the progress handler passed to the transport for the upload or download direction of a request. it calls
+ * the onUploadProgress/onDownloadProgress setting and dispatches ajax:progress from the progress_target with the
+ * progress object -
+ * {
+ *     direction: {String} - 'upload' or 'download',
+ *     loaded: {Number} - the bytes transferred so far,
+ *     total: {Number} - the total bytes, 0 when it's unknown,
+ *     percent: {Number|null} - 0 to 100, null when the total is unknown,
+ *     rate: {Number} - the average transfer rate in bytes per second,
+ *     settings: {Object} - the request settings
+ * }
+ *
+ * @param settings {Object} - the request settings
+ * @param direction {String} - 'upload' or 'download'
+ * @return {Function} - a function(loaded, total)
+ */
+Ajax.progressHandler = function (settings, direction) {
+    let started = Date.now();
+    let callback = (direction === 'upload') ? settings.onUploadProgress : settings.onDownloadProgress;
+
+    return function (loaded, total) {
+        let seconds = (Date.now() - started) / 1000;
+        let progress = {
+            direction: direction,
+            loaded: loaded,
+            total: total,
+            percent: (total > 0) ? Math.min(100, loaded / total * 100) : null,
+            rate: (seconds > 0) ? loaded / seconds : 0,
+            settings: settings
+        };
+
+        if (typeof callback === 'function') { callback(progress); }
+        if (settings.progress_target) { Ajax.trigger('ajax:progress', progress, settings.progress_target); }
+    };
+};
+
+/**
+ * The default retry options, merged with the retry setting of a request
+ *
+ * @type {{count: number, delay: number, factor: number, max_delay: number, jitter: number, statuses: number[], methods: string[]}}
+ */
+Ajax.retryDefaults = {
+    count: 0, // how many times to retry
+    delay: 300, // milliseconds to wait before the first retry
+    factor: 2, // exponential backoff - every retry waits factor times longer than the previous one
+    max_delay: 30000, // the longest we'll wait between retries
+    jitter: 0, // 0 to 1 (true is 1) - the part of the delay that is randomized, to keep clients from retrying together
+    statuses: [408, 429, 500, 502, 503, 504], // http statuses worth retrying, network errors and timeouts always are
+    methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'] // only idempotent requests are retried by default
+};
+
+/**
+ * Normalize the retry setting of a request into retry options
+ *
+ * @param retry {Number|Object|undefined} - the retry setting - a retry count or a retry options object
+ * @return {Object|null} - the retry options, or null when the request shouldn't be retried
+ */
+Ajax.retryOptions = function (retry) {
+    if (typeof retry === 'number') { retry = {count: retry}; }
+    if (typeof retry !== 'object' || retry === null) { return null; }
+
+    return Object.assign({}, Ajax.retryDefaults, retry);
+};
+
+/**
+ * Check if a failed request should be retried
+ *
+ * @param retry {Object} - the retry options
+ * @param settings {Object} - the request settings
+ * @param error {AjaxError} - the error the last attempt failed with
+ * @param attempt {Number} - the number of retries made so far
+ * @return {boolean}
+ */
+Ajax.shouldRetry = function (retry, settings, error, attempt) {
+    if (attempt >= retry.count) { return false; }
+    if (retry.methods.indexOf((settings.type || 'GET').toUpperCase()) === -1) { return false; }
+
+    return error.type === 'network' || error.type === 'timeout' ||
+        (error.type === 'http' && retry.statuses.indexOf(error.status) > -1);
+};
+
+/**
+ * Calculate how long to wait before the given retry
+ *
+ * @param retry {Object} - the retry options
+ * @param attempt {Number} - the retry number, starting from 1
+ * @return {number} - the delay in milliseconds
+ */
+Ajax.retryDelay = function (retry, attempt) {
+    let delay = Math.min(retry.max_delay, retry.delay * Math.pow(retry.factor, attempt - 1));
+    let jitter = (retry.jitter === true) ? 1 : (retry.jitter || 0);
+
+    return Math.round(delay * (1 - jitter * Math.random()));
+};
+
+/**
+ * The offline queue - when enabled, mutating requests that fail because we're offline are persisted to the storage
+ * (localStorage by default) and replayed in order once the browser is back online. replay progress is dispatched
+ * from the Window -
+ *     ajax:queue:start - {total}
+ *     ajax:queue:progress - {settings, response, error, done, total}
+ *     ajax:queue:complete - {done, failed, remaining}
+ *
+ * only the serializable request settings the caller passed are stored (before the request interceptors run, they run
+ * again on replay), so requests with FormData aren't queued, custom transport functions are replaced with
+ * options.transport and the success and error callbacks don't run when a request is replayed - listen to the queue
+ * events instead. the headers passed to Ajax are stored as is, add credentials with a request interceptor instead
+ *
+ * @namespace Ajax.queue
+ */
+Ajax.queue = {
+    enabled: false,
+    replaying: false,
+    options: {
+        key: 'ElementsJS.ajax_queue', // the storage key
+        storage: null, // the storage (default: localStorage), anything with getItem and setItem
+        methods: ['POST', 'PUT', 'PATCH', 'DELETE'], // the request types that are queued
+        transport: null // the transport replays are sent with, when the request's transport can't be stored
+    },
+    /**
+     * The request settings that are persisted
+     */
+    fields: ['type', 'url', 'data', 'content_type', 'headers', 'response_type', 'timeout', 'retry', 'transport'],
+    /**
+     * Enable the offline queue, replaying requests left from previous visits if we're online
+     *
+     * @param options {Object} (optional) - {key, storage, methods} - see Ajax.queue.options
+     */
+    enable: function (options) {
+        Object.assign(this.options, options);
+
+        if (!this.enabled) {
+            this.enabled = true;
+            this.onOnline = () => { this.replay(); };
+            window.addEventListener('online', this.onOnline);
+        }
+
+        if (navigator.onLine !== false) { this.replay(); }
+    },
+    /**
+     * Stop queueing requests, requests that are already queued are kept in storage
+     */
+    disable: function () {
+        if (this.enabled) { window.removeEventListener('online', this.onOnline); }
+        this.enabled = false;
+    },
+    /**
+     * Check if the request should be queued when it fails for being offline
+     *
+     * @param settings {Object} - the request settings
+     * @return {boolean}
+     */
+    accepts: function (settings) {
+        return this.enabled && settings.queue !== false && !(settings.data instanceof FormData) &&
+            this.options.methods.indexOf((settings.type || 'GET').toUpperCase()) > -1;
+    },
+    /**
+     * Get the queued request settings
+     *
+     * @return {Array}
+     */
+    items: function () {
+        let storage = this.options.storage || window.localStorage;
+        return JSON.parse(storage.getItem(this.options.key) || '[]');
+    },
+    /**
+     * Persist the queued request settings
+     *
+     * @param items {Array} - the queued request settings
+     */
+    save: function (items) {
+        let storage = this.options.storage || window.localStorage;
+        storage.setItem(this.options.key, JSON.stringify(items));
+    },
+    /**
+     * Add a request to the end of the queue
+     *
+     * @param settings {Object} - the request settings
+     */
+    add: function (settings) {
+        let item = {};
+        this.fields.forEach((k) => { if (typeof settings[k] !== 'undefined') { item[k] = settings[k]; } });
+
+        let items = this.items();
+        items.push(item);
+        this.save(items);
+    },
+    /**
+     * Remove all the queued requests
+     */
+    clear: function () {
+        this.save([]);
+    },
+    /**
+     * Send the queued requests one by one, in order. requests that fail with an http error are dropped, a network
+     * error stops the replay and keeps the rest of the queue for the next time we're online
+     *
+     * @return {Promise} - resolved with the replay summary - {done, failed, remaining}
+     */
+    replay: function () {
+        if (this.replaying) { return this.replaying; }
+
+        let total = this.items().length;
+        let done = 0;
+        let failed = 0;
+
+        if (total === 0) { return Promise.resolve({done: 0, failed: 0, remaining: 0}); }
+
+        Ajax.trigger('ajax:queue:start', {total: total}, window);
+
+        const next = () => {
+            let items = this.items();
+            if (items.length === 0) { return Promise.resolve(); }
+
+            let settings = Object.assign({transport: this.options.transport || undefined}, items[0], {queue: false});
+
+            return Ajax(settings).then((response) => {
+                return {response: response, error: null};
+            }, (error) => {
+                return {response: null, error: error};
+            }).then((result) => {
+                if (result.error && result.error.type === 'network') { return; }
+
+                // the request reached the server, it's no longer pending
+                this.save(this.items().slice(1));
+                done++;
+                if (result.error) { failed++; }
+
+                Ajax.trigger('ajax:queue:progress', {
+                    settings: settings, response: result.response, error: result.error, done: done, total: total
+                }, window);
+
+                return next();
+            });
+        };
+
+        this.replaying = next().then(() => {
+            let summary = {done: done, failed: failed, remaining: this.items().length};
+
+            this.replaying = false;
+            Ajax.trigger('ajax:queue:complete', summary, window);
+
+            return summary;
+        });
+
+        return this.replaying;
+    }
+};
+
+/**
+ * The GET response cache, used by requests with the cache setting. responses are cached by their final url (query
+ * params included), response_type and request headers, so requests sent with other credentials never share a
+ * response -
+ *     a response younger than the ttl is served from the cache without sending the request
+ *     an older response is revalidated with If-None-Match/If-Modified-Since when the server sent an ETag or a
+ *     Last-Modified header, a 304 response is served from the cache
+ *     identical requests sent while the first one is still in flight share its response
+ *     responses older than max_age (or the ttl, when it's longer) are dropped, and only the max_entries most
+ *     recently stored responses are kept
+ *
+ * @namespace Ajax.cache
+ */
+Ajax.cache = {
+    options: {
+        ttl: 0, // milliseconds a cached response is served without revalidation, 0 always revalidates
+        max_age: 300000, // milliseconds a cached response is kept for revalidation
+        max_entries: 100 // the number of responses kept, the least recently stored are dropped first
+    },
+    entries: {},
+    inflight: {},
+    /**
+     * Get the key a request is cached by
+     *
+     * @param request {Object} - the request - {method, url, headers, body, responseType}, see Ajax.buildRequest
+     * @param cache_key {String} (optional) - the key the caller passed, used as is
+     * @return {String} - the cache key
+     */
+    key: function (request, cache_key) {
+        if (typeof cache_key !== 'undefined' && cache_key !== null) { return String(cache_key); }
+
+        let headers = Object.keys(request.headers || {}).sort().map((k) => [k.toLowerCase(), String(request.headers[k])]);
+
+        return JSON.stringify([request.url, request.responseType || null, headers]);
+    },
+    /**
+     * Check if a cached response is older than it's kept for
+     *
+     * @param entry {Object} - the cache entry
+     * @return {boolean}
+     */
+    expired: function (entry) {
+        return Date.now() - entry.time >= entry.max_age;
+    },
+    /**
+     * Store a response, dropping the expired responses and the least recently stored ones over max_entries
+     *
+     * @param key {String} - the cache key
+     * @param entry {Object} - the cache entry - {url, response, time, max_age, etag, last_modified}
+     */
+    store: function (key, entry) {
+        // deleting first moves the key to the end, the keys are kept in the order they were stored
+        delete this.entries[key];
+        this.entries[key] = entry;
+
+        let keys = Object.keys(this.entries).filter((k) => {
+            if (!this.expired(this.entries[k])) { return true; }
+
+            delete this.entries[k];
+            return false;
+        });
+
+        keys.slice(0, Math.max(0, keys.length - this.options.max_entries)).forEach((k) => { delete this.entries[k]; });
+    },
+    /**
+     * Wrap a transport with the cache
+     *
+     * @param transport {Function} - the transport that sends the request
+     * @param cache {Boolean|Object} - the cache setting of the request - true or cache options {ttl, max_age}
+     * @param cache_key {String} (optional) - the key the response is cached by, see Ajax.cache.key
+     * @return {Function} - a transport serving the request from the cache when possible
+     */
+    transport: function (transport, cache, cache_key) {
+        let options = Object.assign({}, this.options, (typeof cache === 'object') ? cache : {});
+
+        return (request, handlers) => {
+            let key = this.key(request, cache_key);
+            let entry = this.entries[key];
+
+            if (typeof entry !== 'undefined' && this.expired(entry)) {
+                delete this.entries[key];
+                entry = undefined;
+            }
+
+            // every request gets its own copy, since parsing the response sets its data
+            const copy = function (response) { return Object.assign({}, response); };
+
+            if (typeof entry !== 'undefined' && Date.now() - entry.time < options.ttl) {
+                handlers.load(copy(entry.response));
+                return function() {};
+            }
+
+            let inflight = this.inflight[key];
+
+            if (typeof inflight === 'undefined') {
+                inflight = this.inflight[key] = {handlers: []};
+
+                if (typeof entry !== 'undefined') {
+                    if (entry.etag) { request.headers['If-None-Match'] = entry.etag; }
+                    if (entry.last_modified) { request.headers['If-Modified-Since'] = entry.last_modified; }
+                }
+
+                const settle = (name, response) => {
+                    if (this.inflight[key] === inflight) { delete this.inflight[key]; }
+                    inflight.handlers.forEach(function (h) { h[name](response && copy(response)); });
+                };
+
+                inflight.abort = transport(request, {
+                    load: (response) => {
+                        if (response.status === 304 && typeof entry !== 'undefined' && this.entries[key] === entry) {
+                            entry.time = Date.now();
+                            this.store(key, entry);
+                            response = entry.response;
+                        } else if (response.status >= 200 && response.status < 300) {
+                            this.store(key, {
+                                url: request.url,
+                                response: response,
+                                time: Date.now(),
+                                max_age: Math.max(options.ttl, options.max_age),
+                                etag: response.headers['etag'],
+                                last_modified: response.headers['last-modified']
+                            });
+                        }
+
+                        settle('load', response);
+                    },
+                    error: function () { settle('error'); },
+                    uploadProgress: handlers.uploadProgress,
+                    downloadProgress: handlers.downloadProgress
+                }) || function() {};
+            }
+
+            inflight.handlers.push(handlers);
+
+            // abort the shared request only when no one else is waiting for it
+            return () => {
+                let i = inflight.handlers.indexOf(handlers);
+                if (i > -1) { inflight.handlers.splice(i, 1); }
+
+                if (inflight.handlers.length === 0 && this.inflight[key] === inflight) {
+                    delete this.inflight[key];
+                    inflight.abort();
+                }
+            };
+        };
+    },
+    /**
+     * Remove responses from the cache
+     *
+     * @param pattern {String|RegExp|Function} (optional) - remove the urls containing the string, matching the
+     *                                                       RegExp or the function returns true for, when no
+     *                                                       pattern is given the whole cache is cleared
+     */
+    invalidate: function (pattern) {
+        Object.keys(this.entries).forEach((key) => {
+            let url = this.entries[key].url;
+            let match = (typeof pattern === 'undefined') ||
+                (typeof pattern === 'string' && url.indexOf(pattern) > -1) ||
+                (pattern instanceof RegExp && pattern.test(url)) ||
+                (typeof pattern === 'function' && pattern(url));
+
+            if (match) { delete this.entries[key]; }
+        });
+    }
+};
+
+/**
+ * Build the request passed to the transport from the request settings
+ *
+ * @param settings {Object} - the Ajax request settings
+ * @return {Object} - the request - {method, url, headers, body}
+ */
+Ajax.buildRequest = function (settings) {
     let request_type = (settings.type || 'GET').toUpperCase(); // get is default for ajax
     let content_type = (typeof settings.content_type === 'undefined') ? "application/x-www-form-urlencoded" : settings.content_type;
 
@@ -67,44 +925,179 @@ const Ajax = function (settings) {
 
     if (typeof settings.data !== 'undefined') {
         if (request_type === 'GET') {
-            url += `?${ ToParamString(settings.data)}`;
+            let params = (typeof settings.data === 'string') ? settings.data : ToParamString(settings.data, {array_format: settings.array_format});
+            if (params.length > 0) { url += ((url.indexOf('?') > -1) ? '&' : '?') + params; }
         } else {
-            if (settings.data instanceof FormData) {
+            if (settings.data instanceof FormData || typeof settings.data === 'string') {
                 body = settings.data;
             } else if (settings.content_type === 'application/json') {
                 body = JSON.stringify(settings.data);
             } else {
-                body = ToParamString(settings.data);
+                body = ToParamString(settings.data, {array_format: settings.array_format});
             }
         }
     }
 
-    xhr.open(request_type, url, true);
-    if (content_type.toString() !== 'false') { xhr.setRequestHeader("Content-Type", content_type); }
+    let headers = {};
+    if (content_type.toString() !== 'false') { headers["Content-Type"] = content_type; }
+    Object.assign(headers, settings.headers);
 
-    xhr.onreadystatechange = function() {
-        // Process the server response here.
-        if (xhr.readyState === XMLHttpRequest.DONE) {
-            if (xhr.status === 200) {
-                // request completed successfully
-                if (typeof settings.success === 'function') {
+    return {method: request_type, url: url, headers: headers, body: body, responseType: settings.response_type || null};
+};
 
-                    // todo - support different response type, optional ways: xhr.responseType, xhr.getResponseHeader('content-type')
-                    if (xhr.getResponseHeader('content-type').indexOf('application/json') > -1) {
-                        let jsonResponse = JSON.parse(xhr.responseText);
-                        settings.success(jsonResponse, xhr);
-                    } else {
-                        settings.success(xhr.responseText, xhr);
-                    }
+/**
+ * Read the response data from the raw response body according to the response_type setting, without a
+ * response_type json content types (application/json, application/problem+json, etc...) are parsed as json
+ *
+ * @param response {Object} - the raw response - {status, statusText, headers, body, xhr}
+ * @param response_type {String} (optional) - 'json', 'text', 'blob', 'arraybuffer' or 'document'
+ * @return {*} - the response data, null for an empty json response
+ */
+Ajax.parseResponse = function (response, response_type) {
+    let type = response_type || (/[/+]json/.test(response.headers['content-type'] || '') ? 'json' : 'text');
+
+    if (type === 'json' && typeof response.body === 'string') {
+        return (response.body.trim().length > 0) ? JSON.parse(response.body) : null;
+    }
+
+    return response.body;
+};
+
+/**
+ * Parse a raw "name: value" headers string into a dictionary of lower-cased header names to values
+ *
+ * @param raw {String} - the raw headers string, as returned by xhr.getAllResponseHeaders()
+ * @return {Object} - header name to value dictionary
+ */
+Ajax.parseHeaders = function (raw) {
+    let headers = {};
+
+    (raw || '').trim().split(/[\r\n]+/).forEach(function (line) {
+        let i = line.indexOf(':');
+        if (i > 0) { headers[line.slice(0, i).trim().toLowerCase()] = line.slice(i + 1).trim(); }
+    });
+
+    return headers;
+};
+
+/**
+ * The available request transports, selected with the transport setting
+ *
+ * A transport is a function(request, handlers) that sends the request and returns a function that aborts it
+ * request - {method, url, headers, body, responseType} - responseType is the response_type setting, transports
+ *           should read blob, arraybuffer and document responses accordingly and any other response as text
+ * handlers - {
+ *     load: {Function} - call with the raw response - {status, statusText, headers, body, xhr} once it arrived
+ *     error: {Function} - call when the request failed without a response (network error)
+ *     uploadProgress: {Function} (optional) - call with the loaded and total bytes as the request body is sent
+ *     downloadProgress: {Function} (optional) - call with the loaded and total bytes as the response arrives, total
+ *                                               is 0 when it's unknown
+ * }
+ *
+ * @type {{xhr: Function, fetch: Function}}
+ */
+Ajax.transports = {
+    /**
+     * Send the request with XMLHttpRequest
+     */
+    xhr: function (request, handlers) {
+        let xhr = new XMLHttpRequest();
+        let aborted = false;
+
+        xhr.open(request.method, request.url, true);
+        if (['blob', 'arraybuffer', 'document'].indexOf(request.responseType) > -1) { xhr.responseType = request.responseType; }
+        Object.keys(request.headers).forEach(function (k) { xhr.setRequestHeader(k, request.headers[k]); });
+
+        if (handlers.uploadProgress) {
+            xhr.upload.onprogress = function(e) { handlers.uploadProgress(e.loaded, e.lengthComputable ? e.total : 0); };
+        }
+        if (handlers.downloadProgress) {
+            xhr.onprogress = function(e) { handlers.downloadProgress(e.loaded, e.lengthComputable ? e.total : 0); };
+        }
+
+        xhr.onreadystatechange = function() {
+            // Process the server response here.
+            if (xhr.readyState === XMLHttpRequest.DONE && !aborted) {
+                if (xhr.status === 0) {
+                    handlers.error();
+                } else {
+                    handlers.load({
+                        status: xhr.status,
+                        statusText: xhr.statusText,
+                        headers: Ajax.parseHeaders(xhr.getAllResponseHeaders()),
+                        body: (xhr.responseType === '') ? xhr.responseText : xhr.response,
+                        xhr: xhr
+                    });
                 }
             } else {
-                // there was an error with the request
-                if (typeof settings.error === 'function') { settings.error(xhr.statusText); }
+                // request not ready yet
             }
-        } else {
-            // request not ready yet
-        }
-    };
+        };
+
+        xhr.send(request.body);
+
+        return function() {
+            aborted = true;
+            xhr.abort();
+        };
+    },
+    /**
+     * Send the request with the fetch API
+     */
+    fetch: function (request, handlers) {
+        let controller = new AbortController();
+
+        fetch(request.url, {
+            method: request.method,
+            headers: request.headers,
+            body: request.body,
+            signal: controller.signal
+        }).then(function (res) {
+            let headers = {};
+            res.headers.forEach(function (v, k) { headers[k.toLowerCase()] = v; });
+
+            // fetch can't report upload progress, the download progress is counted as the body stream is read
+            if (handlers.downloadProgress && res.body) {
+                let reader = res.body.getReader();
+                let total = parseInt(headers['content-length'], 10) || 0;
+                let loaded = 0;
+
+                res = new Response(new ReadableStream({
+                    pull: function (stream) {
+                        return reader.read().then(function (chunk) {
+                            if (chunk.done) { return stream.close(); }
+
+                            loaded += chunk.value.byteLength;
+                            handlers.downloadProgress(loaded, total);
+                            stream.enqueue(chunk.value);
+                        });
+                    }
+                }), {status: res.status, statusText: res.statusText, headers: res.headers});
+            }
+
+            let read = {blob: 'blob', arraybuffer: 'arrayBuffer'}[request.responseType] || 'text';
+
+            return res[read]().then(function (body) {
+                if (request.responseType === 'document') {
+                    let mime = (/xml/.test(headers['content-type'] || '')) ? 'application/xml' : 'text/html';
+                    body = new DOMParser().parseFromString(body, mime);
+                }
+
+                handlers.load({status: res.status, statusText: res.statusText, headers: headers, body: body, xhr: null});
+            });
+        }).catch(function() {
+            if (!controller.signal.aborted) { handlers.error(); }
+        });
 
-    xhr.send(body);
-};
\ No newline at end of file
+        return function() { controller.abort(); };
+    }
+};
+
+if (typeof Elements !== 'undefined') {
+    Object.assign(Elements.exports, {
+        ToParamString: ToParamString,
+        ParseParamString: ParseParamString,
+        AjaxError: AjaxError,
+        Ajax: Ajax
+    });
+}
\ No newline at end of file
@@ -0,0 +1,494 @@
+/**
+ * The promise returned by the animation methods - resolved with the animated element (or NodeList) once its queued
+ * animation is done. the animation methods can be chained from it - $el.fadeIn().slideUp() queues both on $el
+ */
+class ElementsAnimation extends Promise {
+    /**
+     * then, catch and finally return plain promises
+     */
+    static get [Symbol.species]() {
+        return Promise;
+    }
+
+    /**
+     * Create an animation promise for a target
+     *
+     * @param target {Element|NodeList|ElementsCollection} - the animated target
+     * @param promise {Promise} - the target's animation
+     * @return {ElementsAnimation} - the animation promise
+     */
+    static of(target, promise) {
+        let animation = new ElementsAnimation((resolve, reject) => { promise.then(() => resolve(target), reject); });
+        animation.target = target;
+
+        return animation;
+    }
+}
+
+/**
+ * Namespace for the animation helpers
+ *
+ * @namespace Elements.animation
+ */
+Elements.animation = {
+    /**
+     * The built-in Element.animate (Web Animations API), our animations run with it
+     *
+     * @type {Function|undefined}
+     */
+    native: (typeof Element !== 'undefined') ? Element.prototype.animate : undefined,
+
+    /**
+     * The default animation options, any Web Animations API option can be set
+     *
+     * @type {{duration: number, easing: string}}
+     */
+    defaults: {duration: 300, easing: 'ease'},
+
+    /**
+     * Indicating if the animations run instantly when the user prefers reduced motion
+     *
+     * @type {boolean}
+     */
+    respect_reduced_motion: true,
+
+    /**
+     * The animation methods, available on ElementsAnimation
+     *
+     * @type {Array}
+     */
+    methods: ['animateQueue', 'fadeIn', 'fadeOut', 'slideDown', 'slideUp', 'slideToggle', 'transitionClass', 'stop', 'finish'],
+
+    /**
+     * Check if the animations should run instantly - the user prefers reduced motion
+     *
+     * @return {boolean} - indicating if the motion should be reduced
+     */
+    reduced: function() {
+        return Elements.animation.respect_reduced_motion && typeof window.matchMedia === 'function' &&
+            window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    },
+
+    /**
+     * Normalize the animation options - a number is the duration
+     *
+     * @param options {Object|Number} (optional) - the animation options
+     * @return {Object} - the options, with the defaults
+     */
+    options: function(options) {
+        return Object.assign({}, Elements.animation.defaults, (typeof options === 'number') ? {duration: options} : options);
+    },
+
+    /**
+     * Get the options of the i-th element of a staggered NodeList animation - options.stagger (ms) is added to the
+     * delay of every following element
+     *
+     * @param options {Object|Number} (optional) - the animation options
+     * @param i {Number} - the element index
+     * @return {Object} - the element's options
+     */
+    stagger: function(options, i) {
+        options = Elements.animation.options(options);
+        options.delay = (options.delay || 0) + (options.stagger || 0) * i;
+        delete options.stagger;
+
+        return options;
+    },
+
+    /**
+     * Add a step to the element's animation queue, a step runs when the steps before it are done
+     *
+     * @param $el {Element} - the element
+     * @param step {Function} - returns a promise, resolved when the step is done
+     * @return {Promise} - resolved when the step is done (or dropped by stop), rejected if the step fails
+     */
+    queue: function($el, step) {
+        let generation = $el._animationGeneration || 0;
+        let done = ($el._animationQueue || Promise.resolve()).then(() => {
+            if (($el._animationGeneration || 0) === generation) { return step(); }
+        });
+
+        // a failed step doesn't block the steps after it
+        $el._animationQueue = done.catch(() => {});
+        return done;
+    },
+
+    /**
+     * Join class name lists, dropping the empty names - addClass and removeClass throw on an empty class name
+     *
+     * @param lists {...String} - class names separated by spaces, empty or undefined lists are skipped
+     * @return {String} - the class names separated by spaces
+     */
+    classes: function(...lists) {
+        return lists.filter((l) => typeof l === 'string').join(' ').split(/\s+/).filter((c) => c.length > 0).join(' ');
+    },
+
+    /**
+     * Run keyframes on an element with the built-in animate, instantly when the motion should be reduced or the
+     * element's queue is being finished
+     *
+     * @param $el {Element} - the element
+     * @param keyframes {Array|Object} - Web Animations API keyframes
+     * @param options {Object} - Web Animations API options
+     * @return {Promise} - resolved with true when the animation is done, with false when it's canceled
+     */
+    run: function($el, keyframes, options) {
+        options = Object.assign({}, options);
+
+        if (Elements.animation.reduced() || $el._animationFinishing) {
+            options.duration = 0;
+            options.delay = 0;
+        }
+
+        if (typeof Elements.animation.native !== 'function') { return Promise.resolve(true); }
+
+        let animation = Elements.animation.native.call($el, keyframes, options);
+        $el._animations = ($el._animations || []).concat([animation]);
+
+        return animation.finished.then(() => true, () => false).then((finished) => {
+            $el._animations = $el._animations.filter((a) => a !== animation);
+            return finished;
+        });
+    }
+};
+
+/**
+ * Animate the element with the Web Animations API, queued after the element's previous animations. named animateQueue
+ * on elements, since the built-in Element.animate (returning an Animation) is left as is - NodeList, ElementsCollection
+ * and the animation promises have it as animate too
+ *
+ * @param keyframes {Array|Object} - Web Animations API keyframes
+ * @param options {Object|Number} (optional) - Web Animations API options (or the duration) - duration, easing,
+ *                                             delay, fill, etc...
+ * @return {ElementsAnimation} - resolved with this when the animation is done
+ */
+Elements.methods.Element.animateQueue = function(keyframes, options) {
+    options = Elements.animation.options(options);
+    return ElementsAnimation.of(this, Elements.animation.queue(this, () => Elements.animation.run(this, keyframes, options)));
+};
+
+/**
+ * Show the element and fade it in, does nothing if the element is visible
+ *
+ * @param options {Object|Number} (optional) - animation options (or the duration)
+ * @return {ElementsAnimation} - resolved with this when the animation is done
+ */
+Elements.methods.Element.fadeIn = function(options) {
+    options = Elements.animation.options(options);
+
+    return ElementsAnimation.of(this, Elements.animation.queue(this, () => {
+        if (!Elements.isHidden(this)) { return; }
+
+        Elements.display(this, true);
+        return Elements.animation.run(this, [{opacity: 0}, {opacity: getComputedStyle(this).opacity || 1}], options);
+    }));
+};
+
+/**
+ * Fade the element out and hide it, does nothing if the element is hidden
+ *
+ * @param options {Object|Number} (optional) - animation options (or the duration)
+ * @return {ElementsAnimation} - resolved with this when the animation is done
+ */
+Elements.methods.Element.fadeOut = function(options) {
+    options = Elements.animation.options(options);
+
+    return ElementsAnimation.of(this, Elements.animation.queue(this, () => {
+        if (Elements.isHidden(this)) { return; }
+
+        return Elements.animation.run(this, [{opacity: getComputedStyle(this).opacity || 1}, {opacity: 0}], options)
+            .then((finished) => { if (finished) { Elements.display(this, false); } });
+    }));
+};
+
+/**
+ * Get the keyframe of an element's full height, for the slide animations
+ *
+ * @param $el {Element} - the element (visible)
+ * @return {Object} - the keyframe
+ */
+Elements.animation.slideFrame = function($el) {
+    let style = getComputedStyle($el);
+
+    return {
+        height: style.height, paddingTop: style.paddingTop, paddingBottom: style.paddingBottom,
+        marginTop: style.marginTop, marginBottom: style.marginBottom, overflow: 'hidden'
+    };
+};
+
+/**
+ * The keyframe of a collapsed element, for the slide animations
+ *
+ * @type {Object}
+ */
+Elements.animation.collapsedFrame = {height: '0px', paddingTop: '0px', paddingBottom: '0px', marginTop: '0px', marginBottom: '0px', overflow: 'hidden'};
+
+/**
+ * Show the element by sliding it down, does nothing if the element is visible
+ *
+ * @param options {Object|Number} (optional) - animation options (or the duration)
+ * @return {ElementsAnimation} - resolved with this when the animation is done
+ */
+Elements.methods.Element.slideDown = function(options) {
+    options = Elements.animation.options(options);
+
+    return ElementsAnimation.of(this, Elements.animation.queue(this, () => {
+        if (!Elements.isHidden(this)) { return; }
+
+        Elements.display(this, true);
+        return Elements.animation.run(this, [Elements.animation.collapsedFrame, Elements.animation.slideFrame(this)], options);
+    }));
+};
+
+/**
+ * Hide the element by sliding it up, does nothing if the element is hidden
+ *
+ * @param options {Object|Number} (optional) - animation options (or the duration)
+ * @return {ElementsAnimation} - resolved with this when the animation is done
+ */
+Elements.methods.Element.slideUp = function(options) {
+    options = Elements.animation.options(options);
+
+    return ElementsAnimation.of(this, Elements.animation.queue(this, () => {
+        if (Elements.isHidden(this)) { return; }
+
+        return Elements.animation.run(this, [Elements.animation.slideFrame(this), Elements.animation.collapsedFrame], options)
+            .then((finished) => { if (finished) { Elements.display(this, false); } });
+    }));
+};
+
+/**
+ * Slide the element down if it's hidden, otherwise slide it up - decided when the animation starts
+ *
+ * @param options {Object|Number} (optional) - animation options (or the duration)
+ * @return {ElementsAnimation} - resolved with this when the animation is done
+ */
+Elements.methods.Element.slideToggle = function(options) {
+    options = Elements.animation.options(options);
+
+    return ElementsAnimation.of(this, Elements.animation.queue(this, () => {
+        if (Elements.isHidden(this)) {
+            Elements.display(this, true);
+            return Elements.animation.run(this, [Elements.animation.collapsedFrame, Elements.animation.slideFrame(this)], options);
+        }
+
+        return Elements.animation.run(this, [Elements.animation.slideFrame(this), Elements.animation.collapsedFrame], options)
+            .then((finished) => { if (finished) { Elements.display(this, false); } });
+    }));
+};
+
+/**
+ * Run a css class driven transition - the enter and active classes are added, on the next frame the enter class is
+ * replaced with the leave class, and when the transition (or css animation) ends the active class is removed.
+ * transitionClass('hidden', 'fade', '') fades in an element styled with .hidden {opacity: 0} and
+ * .fade {transition: opacity .3s}, transitionClass('', 'fade', 'hidden') fades it out
+ *
+ * @param enter {String} - class names of the start state, removed when the transition starts, can be empty
+ * @param active {String} - class names defining the transition, removed when the transition ends
+ * @param leave {String} - class names of the end state, added when the transition starts, can be empty
+ * @return {ElementsAnimation} - resolved with this when the transition ends
+ */
+Elements.methods.Element.transitionClass = function(enter, active, leave) {
+    let methods = Elements.methods.Element;
+    let add = (...lists) => { let cls = Elements.animation.classes(...lists); if (cls) { methods.addClass.call(this, cls); } };
+    let remove = (...lists) => { let cls = Elements.animation.classes(...lists); if (cls) { methods.removeClass.call(this, cls); } };
+
+    return ElementsAnimation.of(this, Elements.animation.queue(this, () => new Promise((resolve) => {
+        add(enter, active);
+
+        // force a style recalculation, so the transition starts from the enter state
+        void this.offsetWidth;
+
+        (typeof requestAnimationFrame === 'function' ? requestAnimationFrame : setTimeout)(() => {
+            remove(enter);
+            add(leave);
+
+            let style = getComputedStyle(this);
+            let max = (value) => Math.max.apply(null, (value || '0s').split(',').map((t) => parseFloat(t) * (/ms\s*$/.test(t) ? 1 : 1000) || 0));
+            let timeout = Math.max(max(style.transitionDuration) + max(style.transitionDelay), max(style.animationDuration) + max(style.animationDelay));
+
+            let end = (e) => {
+                if (e && e.target !== this) { return; }
+
+                clearTimeout(timer);
+                this.removeEventListener('transitionend', end);
+                this.removeEventListener('animationend', end);
+                remove(active);
+                resolve();
+            };
+
+            // the transitionend event is not fired for transitions that don't run
+            let timer = setTimeout(end, (Elements.animation.reduced() || this._animationFinishing) ? 0 : timeout + 50);
+
+            this.addEventListener('transitionend', end);
+            this.addEventListener('animationend', end);
+        });
+    })));
+};
+
+/**
+ * Stop the element's animations - the running animation stops where it is and the queued animations are dropped
+ *
+ * @return {Element} - return this (the element who called the function)
+ */
+Elements.methods.Element.stop = function() {
+    this._animationGeneration = (this._animationGeneration || 0) + 1;
+
+    (this._animations || []).forEach((animation) => {
+        try { animation.commitStyles(); } catch (e) { /* the element is not rendered */ }
+        animation.cancel();
+    });
+
+    return this;
+};
+
+/**
+ * Finish the element's animations - the running and the queued animations jump to their end
+ *
+ * @return {Element} - return this (the element who called the function)
+ */
+Elements.methods.Element.finish = function() {
+    let queue = this._animationQueue || Promise.resolve();
+
+    this._animationFinishing = queue;
+    (this._animations || []).forEach((animation) => { animation.finish(); });
+
+    queue.then(() => { if (this._animationFinishing === queue) { delete this._animationFinishing; } });
+
+    return this;
+};
+
+/**
+ * Animate all the elements in the NodeList, options.stagger (ms) delays every element after the previous one
+ *
+ * @param keyframes {Array|Object} - Web Animations API keyframes
+ * @param options {Object|Number} (optional) - Web Animations API options (or the duration) and stagger
+ * @return {ElementsAnimation} - resolved with this when all the animations are done
+ */
+Elements.methods.NodeList.animateQueue = function(keyframes, options) {
+    return Elements.animation.each(this, 'animateQueue', (i) => [keyframes, Elements.animation.stagger(options, i)]);
+};
+
+/**
+ * Animate all the elements in the NodeList, the same as NodeList.animateQueue - NodeList has no built-in animate
+ *
+ * @param keyframes {Array|Object} - Web Animations API keyframes
+ * @param options {Object|Number} (optional) - Web Animations API options (or the duration) and stagger
+ * @return {ElementsAnimation} - resolved with this when all the animations are done
+ */
+Elements.methods.NodeList.animate = function(keyframes, options) {
+    return Elements.methods.NodeList.animateQueue.call(this, keyframes, options);
+};
+
+/**
+ * Fade in all the hidden elements in the NodeList
+ *
+ * @param options {Object|Number} (optional) - animation options (or the duration) and stagger
+ * @return {ElementsAnimation} - resolved with this when all the animations are done
+ */
+Elements.methods.NodeList.fadeIn = function(options) {
+    return Elements.animation.each(this, 'fadeIn', (i) => [Elements.animation.stagger(options, i)]);
+};
+
+/**
+ * Fade out all the visible elements in the NodeList
+ *
+ * @param options {Object|Number} (optional) - animation options (or the duration) and stagger
+ * @return {ElementsAnimation} - resolved with this when all the animations are done
+ */
+Elements.methods.NodeList.fadeOut = function(options) {
+    return Elements.animation.each(this, 'fadeOut', (i) => [Elements.animation.stagger(options, i)]);
+};
+
+/**
+ * Slide down all the hidden elements in the NodeList
+ *
+ * @param options {Object|Number} (optional) - animation options (or the duration) and stagger
+ * @return {ElementsAnimation} - resolved with this when all the animations are done
+ */
+Elements.methods.NodeList.slideDown = function(options) {
+    return Elements.animation.each(this, 'slideDown', (i) => [Elements.animation.stagger(options, i)]);
+};
+
+/**
+ * Slide up all the visible elements in the NodeList
+ *
+ * @param options {Object|Number} (optional) - animation options (or the duration) and stagger
+ * @return {ElementsAnimation} - resolved with this when all the animations are done
+ */
+Elements.methods.NodeList.slideUp = function(options) {
+    return Elements.animation.each(this, 'slideUp', (i) => [Elements.animation.stagger(options, i)]);
+};
+
+/**
+ * Slide toggle all the elements in the NodeList
+ *
+ * @param options {Object|Number} (optional) - animation options (or the duration) and stagger
+ * @return {ElementsAnimation} - resolved with this when all the animations are done
+ */
+Elements.methods.NodeList.slideToggle = function(options) {
+    return Elements.animation.each(this, 'slideToggle', (i) => [Elements.animation.stagger(options, i)]);
+};
+
+/**
+ * Run a css class driven transition on all the elements in the NodeList
+ *
+ * @param enter {String} - class names of the start state
+ * @param active {String} - class names defining the transition
+ * @param leave {String} - class names of the end state
+ * @return {ElementsAnimation} - resolved with this when all the transitions end
+ */
+Elements.methods.NodeList.transitionClass = function(enter, active, leave) {
+    return Elements.animation.each(this, 'transitionClass', () => [enter, active, leave]);
+};
+
+/**
+ * Stop the animations of all the elements in the NodeList
+ *
+ * @return {NodeList} - this
+ */
+Elements.methods.NodeList.stop = function() {
+    this.forEach((n) => { Elements.methods.Element.stop.call(n) });
+    return this;
+};
+
+/**
+ * Finish the animations of all the elements in the NodeList
+ *
+ * @return {NodeList} - this
+ */
+Elements.methods.NodeList.finish = function() {
+    this.forEach((n) => { Elements.methods.Element.finish.call(n) });
+    return this;
+};
+
+/**
+ * Run an Element animation method on every element of a NodeList
+ *
+ * @param list {NodeList|ElementsCollection} - the elements
+ * @param method {String} - the Element animation method name
+ * @param args {Function} - returns the method's arguments for the i-th element
+ * @return {ElementsAnimation} - resolved with the list when all the animations are done
+ */
+Elements.animation.each = function(list, method, args) {
+    let animations = [];
+    list.forEach((n, i) => { animations.push(Elements.methods.Element[method].apply(n, args(i))); });
+
+    return ElementsAnimation.of(list, Promise.all(animations));
+};
+
+// chain the animation methods from the animation promises
+Elements.animation.methods.forEach((name) => {
+    ElementsAnimation.prototype[name] = function() {
+        let methods = (this.target instanceof Element) ? Elements.methods.Element : Elements.methods.NodeList;
+        return methods[name].apply(this.target, arguments);
+    };
+});
+
+ElementsAnimation.prototype.animate = ElementsAnimation.prototype.animateQueue;
+
+Object.assign(Elements.exports, {
+    ElementsAnimation: ElementsAnimation
+});
+
+Elements.sync();
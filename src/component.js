@@ -0,0 +1,331 @@
+/**
+ * The registered components definitions, by tag name
+ *
+ * @type {Object}
+ */
+Elements.components = {};
+
+/**
+ * Register a component - a Custom Element rendered from a template, with props, state, styles and events
+ *
+ * Elements.component('x-counter', {
+ *     props: {step: {type: Number, default: 1}},
+ *     state: {count: 0},
+ *     template: function(props, state) { return html`<button>+${props.step}</button> ${Span().bindText(state, 'count')}` },
+ *     styles: 'button { font-weight: bold; }',
+ *     events: {'click button': function(e) { this.state.update('count', (count) => count + this.step) }}
+ * });
+ *
+ * @param tag {String} - the custom element tag name, must contain a dash
+ * @param definition {Object} - the component definition:
+ *     props - the props names, or a {name: {type, default, reflect}} map - type (String, Number, Boolean, Object,
+ *             Array) parses the prop's attribute (the dashed prop name), a function default is called for every
+ *             element, reflect sets the attribute when the prop is set, every prop is an element property and a
+ *             change re-renders the component
+ *     state - the initial state, or a function of the props returning it - an ElementsStore (this.state) whose
+ *             store:change events are dispatched from the element, a change re-renders the component
+ *     template - function(props, state) returning the content - an Element, a DocumentFragment (see html) or an HTML
+ *                string, this is the element. without Shadow DOM the element's original children are in this.slotted
+ *     styles - a css string, added to the shadow root or, without Shadow DOM, once to the document head
+ *     shadow - true, 'open' or 'closed' to render in a shadow root
+ *     events - a {'event selector': handler} map of delegated events ('click .save', 'input input[name=q]'), a
+ *              handler without a selector listens on the element. handlers run with the element as this, the
+ *              matching element is e.delegateTarget. the events are bound on connect and unbound on disconnect
+ *     connected - called (with the element as this) when the element is added to the document, after it's rendered
+ *     disconnected - called when the element is removed from the document, after its events are unbound
+ *     methods - a {name: function} map of methods added to the element
+ * @return {Function} - the component factory function - (props, ...children) => Element, like Div()
+ */
+Elements.component = function(tag, definition) {
+    definition = Object.assign({}, definition);
+
+    let props = Elements.component.props(definition.props);
+    let attributes = {};
+
+    Object.keys(props).forEach((name) => { attributes[props[name].attribute] = name; });
+
+    let ComponentElement = class extends HTMLElement {
+        static get observedAttributes() {
+            return Object.keys(attributes);
+        }
+
+        constructor() {
+            super();
+
+            this._props = {};
+            this._rendered = false;
+            this._renderScheduled = false;
+
+            Object.keys(props).forEach((name) => { this._props[name] = Elements.component.defaultProp(props[name]); });
+
+            if (definition.shadow) {
+                this._root = this.attachShadow({mode: (definition.shadow === 'closed') ? 'closed' : 'open'});
+                Elements.lifecycle.observe(this._root);
+            }
+        }
+
+        /**
+         * The props values
+         *
+         * @return {Object} - a copy of the props
+         */
+        get props() {
+            return Object.assign({}, this._props);
+        }
+
+        connectedCallback() {
+            if (!this._rendered) {
+                let state = (typeof definition.state === 'function') ? definition.state.call(this, this.props) : definition.state;
+
+                this.state = Elements.store(state, {name: tag, target: this});
+                this.state.subscribe('', () => { this.update(); });
+
+                if (!this._root) {
+                    this.slotted = Array.from(this.childNodes);
+                    this.slotted.forEach((n) => { n._slotHost = this; });
+                }
+
+                this.render();
+            }
+
+            Elements.component.bindEvents(this, definition.events);
+
+            if (typeof definition.connected === 'function') { definition.connected.call(this); }
+        }
+
+        disconnectedCallback() {
+            Elements.unbind.call(this, '.component');
+            if (this._root) { Elements.unbind.call(this._root, '.component'); }
+
+            if (typeof definition.disconnected === 'function') { definition.disconnected.call(this); }
+        }
+
+        attributeChangedCallback(attribute, old_value, value) {
+            let name = attributes[attribute];
+
+            if (this._reflecting === name) { return; }
+
+            this._props[name] = Elements.component.parseProp(value, props[name]);
+            this.update();
+        }
+
+        /**
+         * Re-render the component in a microtask, once for all the changes made until then
+         */
+        update() {
+            if (this._renderScheduled || !this._rendered) { return; }
+
+            this._renderScheduled = true;
+            Promise.resolve().then(() => {
+                this._renderScheduled = false;
+                this.render();
+            });
+        }
+
+        /**
+         * Render the component's template - the old content is released (its onUnmount hooks, store bindings and
+         * listeners), the slotted children are kept for the template and the focused field keeps its focus, caret
+         * and typed value (when the template doesn't set it)
+         */
+        render() {
+            let root = this._root || this;
+            let focus = Elements.component.focus(root);
+
+            this._rendered = true;
+
+            (this.slotted || []).forEach((n) => { if (n.parentNode) { n.parentNode.removeChild(n); } });
+            Array.from(root.childNodes).forEach((n) => {
+                Elements.lifecycle.walk(n, ($el) => { Elements.lifecycle.unmount($el, true); });
+            });
+
+            root.innerHTML = '';
+
+            if (definition.styles) {
+                if (this._root) {
+                    root.appendChild(h('style', null, definition.styles));
+                } else if (!document.head.querySelector('style[data-component="' + tag + '"]')) {
+                    document.head.appendChild(h('style', {dataset: {component: tag}}, definition.styles));
+                }
+            }
+
+            if (typeof definition.template !== 'function') { return; }
+
+            let content = definition.template.call(this, this.props, this.state);
+
+            if (typeof content === 'string') {
+                root.insertAdjacentHTML('beforeend', content);
+            } else {
+                Elements.appendChildren(root, content);
+            }
+
+            Elements.component.restoreFocus(root, focus);
+        }
+    };
+
+    Object.keys(props).forEach((name) => {
+        Object.defineProperty(ComponentElement.prototype, name, {
+            get: function() { return this._props[name]; },
+            set: function(v) {
+                if (Object.is(this._props[name], v)) { return; }
+
+                this._props[name] = v;
+
+                if (props[name].reflect) {
+                    this._reflecting = name;
+
+                    if (v === null || typeof v === 'undefined' || v === false) {
+                        this.removeAttribute(props[name].attribute);
+                    } else {
+                        this.setAttribute(props[name].attribute, (v === true) ? '' : (typeof v === 'object') ? JSON.stringify(v) : v);
+                    }
+
+                    this._reflecting = undefined;
+                }
+
+                this.update();
+            },
+            configurable: true
+        });
+    });
+
+    Object.keys(definition.methods || {}).forEach((name) => {
+        ComponentElement.prototype[name] = definition.methods[name];
+    });
+
+    customElements.define(tag, ComponentElement);
+    Elements.components[tag] = definition;
+
+    let factory = function(props, ...children) { return h(tag, props, ...children) };
+    factory.tag = tag;
+    factory.element = ComponentElement;
+
+    return factory;
+};
+
+/**
+ * Normalize the props definition
+ *
+ * @param props {Array|Object} (optional) - the props names, or a {name: {type, default, reflect}} map
+ * @return {Object} - {name: {type, default, reflect, attribute}}
+ */
+Elements.component.props = function(props) {
+    let result = {};
+
+    if (Array.isArray(props)) {
+        props.forEach((name) => { result[name] = {}; });
+    } else {
+        Object.keys(props || {}).forEach((name) => {
+            result[name] = (typeof props[name] === 'function') ? {type: props[name]} : Object.assign({}, props[name]);
+        });
+    }
+
+    Object.keys(result).forEach((name) => {
+        result[name].type = result[name].type || String;
+        result[name].attribute = name.replace(/[A-Z]/g, (c) => '-' + c.toLowerCase());
+    });
+
+    return result;
+};
+
+/**
+ * Parse a prop's attribute value by the prop's type
+ *
+ * @param value {String|null} - the attribute value, null when the attribute was removed
+ * @param prop {Object} - the prop definition
+ * @return {*} - the prop value
+ */
+Elements.component.parseProp = function(value, prop) {
+    if (prop.type === Boolean) { return value !== null && value !== 'false'; }
+    if (value === null) { return Elements.component.defaultProp(prop); }
+    if (prop.type === Number) { return (value.trim() === '') ? Elements.component.defaultProp(prop) : Number(value); }
+
+    if (prop.type === Object || prop.type === Array) {
+        try { return JSON.parse(value); } catch (e) { return Elements.component.defaultProp(prop); }
+    }
+
+    return value;
+};
+
+/**
+ * Get a prop's default value, a function default (for Object and Array props) is called so every element gets its
+ * own value
+ *
+ * @param prop {Object} - the prop definition
+ * @return {*} - the default value
+ */
+Elements.component.defaultProp = function(prop) {
+    return (typeof prop.default === 'function' && prop.type !== Function) ? prop.default() : prop.default;
+};
+
+/**
+ * Get the focused element of a component's content, to focus it again after the component is rendered
+ *
+ * @param root {Element|ShadowRoot} - the component's root
+ * @return {Object|null} - {path, tag, value, start, end, direction} - path is the element's children indexes from
+ *                         the root, or null when nothing in the root is focused
+ */
+Elements.component.focus = function(root) {
+    let active = root.activeElement || document.activeElement;
+
+    if (!active || active === root || !root.contains(active)) { return null; }
+
+    let focus = {path: [], tag: active.tagName, value: active.value, default_value: active.defaultValue};
+
+    for (let n = active; n !== root; n = n.parentNode) {
+        focus.path.unshift(Array.prototype.indexOf.call(n.parentNode.children, n));
+    }
+
+    try {
+        focus.start = active.selectionStart;
+        focus.end = active.selectionEnd;
+        focus.direction = active.selectionDirection;
+    } catch (e) { /* the field has no selection */ }
+
+    return focus;
+};
+
+/**
+ * Focus the element at the focused element's place in the rendered content - when it has the same tag, restoring
+ * its typed value (unless the template set a value) and its caret
+ *
+ * @param root {Element|ShadowRoot} - the component's root
+ * @param focus {Object|null} - the focus, see Elements.component.focus
+ */
+Elements.component.restoreFocus = function(root, focus) {
+    if (!focus) { return; }
+
+    let $el = focus.path.reduce((n, i) => n && n.children[i], root);
+
+    if (!$el || $el.tagName !== focus.tag || typeof $el.focus !== 'function') { return; }
+
+    if (typeof focus.value === 'string' && $el.value === $el.defaultValue && $el.defaultValue === focus.default_value) {
+        $el.value = focus.value;
+    }
+
+    $el.focus();
+
+    if (typeof focus.start === 'number') {
+        try { $el.setSelectionRange(focus.start, focus.end, focus.direction); } catch (e) { /* the field has no selection */ }
+    }
+};
+
+/**
+ * Bind a component's events map, namespaced with .component so they can be unbound on disconnect
+ *
+ * @param $el {Element} - the component element
+ * @param events {Object} (optional) - the {'event selector': handler} map
+ */
+Elements.component.bindEvents = function($el, events) {
+    Object.keys(events || {}).forEach((key) => {
+        let parts = key.trim().split(/\s+/);
+        let type = parts.shift() + '.component';
+        let selector = parts.join(' ');
+        let handler = function(e) { return events[key].call($el, e); };
+
+        if (selector.length > 0) {
+            Elements.on.call($el._root || $el, type, selector, handler);
+        } else {
+            Elements.on.call($el, type, handler);
+        }
+    });
+};
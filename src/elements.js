@@ -1,27 +1,132 @@
 /**
  * Namespace to hold event management wrappers
  * @namespace Elements
- * @type {{dispatch: Elements.dispatch, unbind: Elements.unbind, on: Elements.on}}
+ * @type {{dispatch: Elements.dispatch, unbind: Elements.unbind, on: Elements.on, once: Elements.once}}
  */
 const Elements = {
     /**
      * A wrapper to addEventListener to help manage events on a larger scale and enable removing them easily
+     * event names can be namespaced - 'click.menu', 'click.menu.main', so they can be unbound by their namespace
+     * when a selector is given the event is delegated - the callback runs for events triggered from descendants
+     * matching the selector (at the time of the event), with the matching element as this and as
+     * event.delegateTarget. an element's listeners are unbound when it's removed from the document
+     * (see Elements.lifecycle)
      *
-     * @param action {String} - the name of the event we would like to listen to
+     * @param action {String} - the name of the event we would like to listen to, multiple names can be separated by
+     *                          spaces
+     * @param selector {String} (optional) - a css selector to delegate the event to
      * @param callback {Function} - the event handler - the callback function to handle the event
+     * @param options {Object|Boolean} (optional) - addEventListener options - capture, passive, once, signal
      */
-    on: function(action, callback) {
+    on: function(action, selector, callback, options) {
+        if (typeof selector === 'function') { options = callback; callback = selector; selector = undefined; }
         if (typeof this._eventsRegistry === 'undefined') { this._eventsRegistry = {}; }
-        let actions = (action.match(/\s/)) ? action.split(" ") : [action];
+        if (typeof Element !== 'undefined' && this instanceof Element) { Elements.lifecycle.observe(); }
+
+        options = (typeof options === 'boolean') ? {capture: options} : Object.assign({}, options);
+        if (options.signal && options.signal.aborted) { return; }
+
+        Elements.parseActions(action).forEach((parsed) => {
+            if (parsed.type.length === 0) { return; }
+
+            let entry = {
+                type: parsed.type,
+                namespaces: parsed.namespaces,
+                selector: selector,
+                callback: callback,
+                capture: !!options.capture
+            };
+
+            let handler = callback;
+
+            // once is handled here rather than by the browser, so a delegated handler is removed only after it ran
+            // and the registry doesn't keep handlers that were already removed
+            if (options.once) {
+                handler = function(e) {
+                    Elements.removeEntry(entry.target, entry);
+                    return callback.call(this, e);
+                };
+            }
+
+            entry.target = this;
+            entry.listener = (typeof selector === 'string') ? Elements.delegate(this, selector, handler) : handler;
+
+            if (typeof this._eventsRegistry[entry.type] === 'undefined') { this._eventsRegistry[entry.type] = []; }
 
-        actions.forEach((action) => {
-            if (typeof this._eventsRegistry[action] === 'undefined') { this._eventsRegistry[action] = []; }
+            this._eventsRegistry[entry.type].push(entry);
+
+            this.addEventListener(entry.type, entry.listener, Object.assign({}, options, {once: false}));
+
+            if (options.signal) {
+                options.signal.addEventListener('abort', () => { Elements.removeEntry(this, entry); }, {once: true});
+            }
+        });
 
-            this._eventsRegistry[action].push(callback);
+    },
+    /**
+     * A wrapper to Elements.on for handlers that should run only once
+     *
+     * @param action {String} - the name of the event we would like to listen to
+     * @param selector {String} (optional) - a css selector to delegate the event to
+     * @param callback {Function} - the event handler - the callback function to handle the event
+     * @param options {Object|Boolean} (optional) - addEventListener options - capture, passive, signal
+     */
+    once: function(action, selector, callback, options) {
+        if (typeof selector === 'function') { options = callback; callback = selector; selector = undefined; }
+        options = (typeof options === 'boolean') ? {capture: options} : options;
 
-            this.addEventListener(action, callback);
+        Elements.on.call(this, action, selector, callback, Object.assign({}, options, {once: true}));
+    },
+    /**
+     * Parse an action string to the event types and namespaces it holds -
+     * 'click.menu keyup' => [{type: 'click', namespaces: ['menu']}, {type: 'keyup', namespaces: []}]
+     *
+     * @param action {String} - space separated event names, each with optional dot separated namespaces
+     * @return {Array} - the parsed actions, type is an empty string for a namespace only action ('.menu')
+     */
+    parseActions: function(action) {
+        return action.trim().split(/\s+/).map((name) => {
+            let parts = name.split('.');
+            return {type: parts[0], namespaces: parts.slice(1).filter((ns) => ns.length > 0)};
         });
+    },
+    /**
+     * Remove a registered handler from the target and from its _eventsRegistry
+     *
+     * @param target {EventTarget} - the element, document or window the handler is bound to
+     * @param entry {Object} - the _eventsRegistry entry of the handler
+     */
+    removeEntry: function(target, entry) {
+        target.removeEventListener(entry.type, entry.listener, entry.capture);
+
+        let entries = (target._eventsRegistry || {})[entry.type] || [];
+        let i = entries.indexOf(entry);
+
+        if (i > -1) { entries.splice(i, 1); }
+        if (entries.length === 0 && target._eventsRegistry) { delete target._eventsRegistry[entry.type]; }
+    },
+    /**
+     * Create a delegated event listener, calling the callback when the event target is (or is inside) a descendant
+     * of the bound element matching the selector
+     *
+     * @param bound {Element|Document|Window} - the element the listener is bound to
+     * @param selector {String} - a css selector the event target should match
+     * @param callback {Function} - the event handler
+     * @return {Function} - the listener
+     */
+    delegate: function(bound, selector, callback) {
+        // events bound to the window are delegated from the whole document
+        let root = (bound === window) ? document : bound;
 
+        return function(e) {
+            let target = (e.target instanceof Element) ? e.target : e.target.parentElement;
+            let match = (target) ? target.closest(selector) : null;
+
+            if (match !== null && match !== root && root.contains(match)) {
+                e.delegateTarget = match;
+                return callback.call(match, e);
+            }
+        };
     },
     /**
      * A wrapper to dispatchEvent, meant to simplify creating custom event
@@ -30,54 +135,85 @@ const Elements = {
      * @param detail {Object} (optional) - the event details - default is an empty object, best practice will be to
      *                                     pass the details as properties
      * @param event_init {EventInit} (optional) - a dictionary with the following fields: bubbles, cancelable, composed
+     * @return {boolean} - false if the event is cancelable and a listener called preventDefault, otherwise true
      */
     dispatch: function(action, detail, event_init) {
         detail = detail || {};
         event_init = event_init || {};
-        this.dispatchEvent(new CustomEvent(action, Object.assign({}, {detail: detail}, event_init)));
+        return this.dispatchEvent(new CustomEvent(action, Object.assign({}, {detail: detail}, event_init)));
     },
     /**
      * A wrapper to manage and simplify the removal of event handlers, by using the _eventRegistry you can unbind
      * your event handlers without saving and supplying them on your own, enabling the use of arrow functions as
      * event handlers and maintaining scope easier
      *
-     * @param action {String} - the name for the event that we want to unbind
+     * @param action {String} (optional) - the name for the event that we want to unbind, can be namespaced -
+     *                                     'click.menu' unbinds the click handlers in the menu namespace, '.menu'
+     *                                     unbinds all the handlers in the menu namespace, when no action is given
+     *                                     all the handlers are unbound
+     * @param selector {String} (optional) - only unbind the handlers delegated to this selector
      * @param callback {Function} (optional) - the event handler - the callback function to unbind
      */
-    unbind: function (action, callback) {
+    unbind: function (action, selector, callback) {
+        if (typeof selector === 'function') { callback = selector; selector = undefined; }
+
         if (typeof this._eventsRegistry !== 'undefined') {
-            if (typeof action !== 'undefined') {
-                if (typeof callback !== 'undefined') {
-                    this.removeEventListener(action, callback);
-                } else {
-                    if (typeof this._eventsRegistry[action] !== 'undefined') {
-                        this._eventsRegistry[action].forEach( (c) => { this.removeEventListener(action, c); });
-                        this._eventsRegistry[action] = [];
-                    }
-                }
-            } else {
-                Object.keys(this._eventsRegistry).forEach( (a) => {
-                    a.forEach( (c) => { this.removeEventListener(action, c); })
+            let filters = (typeof action !== 'undefined') ? Elements.parseActions(action) : [{type: '', namespaces: []}];
+
+            filters.forEach((filter) => {
+                let types = (filter.type.length > 0) ? [filter.type] : Object.keys(this._eventsRegistry);
+                let removed = 0;
+
+                types.forEach((type) => {
+                    (this._eventsRegistry[type] || []).slice().forEach((entry) => {
+                        let match = filter.namespaces.every((ns) => entry.namespaces.indexOf(ns) > -1) &&
+                            (typeof selector === 'undefined' || entry.selector === selector) &&
+                            (typeof callback === 'undefined' || entry.callback === callback);
+
+                        if (match) {
+                            Elements.removeEntry(this, entry);
+                            removed++;
+                        }
+                    });
                 });
 
-                this._eventsRegistry = {};
-            }
+                if (removed === 0 && filter.type.length > 0 && typeof callback !== 'undefined') {
+                    // not registered with our on function
+                    this.removeEventListener(filter.type, callback);
+                }
+            });
         }
     }
 };
 
 /**
- * Remove element from parent node
+ * The ElementsJS methods by the built-in prototype they extend - Element, NodeList, Document and Window.
+ * Elements.install adds them to the prototypes and ElementsCollection wraps the NodeList methods, since they may
+ * run on elements whose prototypes were never extended methods should call each other through this table
+ * (Elements.methods.Element.text.call(this)) rather than through the prototypes (this.text())
+ *
+ * @type {{Element: Object, NodeList: Object, Document: Object, Window: Object}}
+ */
+Elements.methods = {Element: {}, NodeList: {}, Document: {}, Window: {}};
+
+/**
+ * Remove element from parent node, and release its data
  */
-Element.prototype.remove = function() {
+Elements.methods.Element.remove = function() {
     this.parentNode.removeChild(this);
+    Elements.cleanData(this);
 };
 
 /**
- * Remove elements children
+ * Remove elements children, and release their data
  */
-Element.prototype.empty = function() {
-    while(this.firstChild) { this.removeChild(this.firstChild); }
+Elements.methods.Element.empty = function() {
+    while(this.firstChild) {
+        let child = this.firstChild;
+
+        this.removeChild(child);
+        Elements.cleanData(child);
+    }
 };
 
 /**
@@ -86,7 +222,7 @@ Element.prototype.empty = function() {
  * @param cls {String} - list of class names separated by spaces
  * @return {Element} - return this (the element who called the function)
  */
-Element.prototype.addClass = function(cls) {
+Elements.methods.Element.addClass = function(cls) {
     if (typeof cls !== "undefined" && cls.trim().length > 0) {
         cls.split(" ").forEach((c) => { this.classList.add(c.trim()) });
     }
@@ -99,7 +235,7 @@ Element.prototype.addClass = function(cls) {
  * @param cls {String} - list of class names separated by spaces
  * @return {Element} - return this (the element who called the function)
  */
-Element.prototype.removeClass = function(cls) {
+Elements.methods.Element.removeClass = function(cls) {
     if (typeof cls !== "undefined") {
         cls.split(" ").forEach((c) => { this.classList.remove(c.trim()) });
     }
@@ -112,7 +248,7 @@ Element.prototype.removeClass = function(cls) {
  * @param cls - a class name
  * @return {boolean} - indicating if the element has the class
  */
-Element.prototype.hasClass = function(cls) {
+Elements.methods.Element.hasClass = function(cls) {
     return this.classList.contains(cls);
 };
 
@@ -122,8 +258,9 @@ Element.prototype.hasClass = function(cls) {
  * @param cls {String} - a list of class names separated with spaces
  * @return {Element} - return this (the element who called the function)
  */
-Element.prototype.toggleClass = function(cls) {
-    return this.hasClass(cls) ? this.removeClass(cls) : this.addClass(cls);
+Elements.methods.Element.toggleClass = function(cls) {
+    let methods = Elements.methods.Element;
+    return methods.hasClass.call(this, cls) ? methods.removeClass.call(this, cls) : methods.addClass.call(this, cls);
 };
 
 /**
@@ -132,22 +269,23 @@ Element.prototype.toggleClass = function(cls) {
  * @param callback {function} - the iteration callback function
  * @return {*} - return the callback return value
  */
-Element.prototype.forEach = function(callback) {
+Elements.methods.Element.forEach = function(callback) {
     return callback.call(this, this, 0);
 };
 
 /**
- * Append as child element if element is of type Element, if it's of type string or number add as text
+ * Append as child element if element is of type Element (or DocumentFragment), if it's of type string or number add
+ * as text
  *
- * @param element {Element|String|Number} - the data to append
+ * @param element {Element|DocumentFragment|String|Number} - the data to append
  * @return {Element} - return this (the element who called the function)
  */
-Element.prototype.append = function(element) {
-    if (element instanceof Element) {
+Elements.methods.Element.append = function(element) {
+    if (element instanceof Element || element instanceof DocumentFragment) {
         this.appendChild(element);
         return this;
     } else if (typeof element === 'string' || typeof element === 'number') {
-        this.text(element);
+        Elements.methods.Element.text.call(this, element);
         return this;
     }
 
@@ -155,30 +293,32 @@ Element.prototype.append = function(element) {
 };
 
 /**
- * Override the element inner HTML with the given element data
+ * Override the element inner HTML with the given element data, prefer the html template (or unsafe()) over strings
+ * for markup with user data
  *
- * @param element {Element|String|Number} - the new data to override with
+ * @param element {Element|DocumentFragment|UnsafeHTML|String|Number} - the new data to override with
  * @return {Element} - return this (the element who called the function)
  */
-Element.prototype.html = function(element) {
+Elements.methods.Element.html = function(element) {
     this.innerHTML = '';
 
-    if (typeof element === 'string' || typeof element === 'number') {
-        this.innerHTML = element;
+    if (typeof element === 'string' || typeof element === 'number' ||
+        (typeof UnsafeHTML !== 'undefined' && element instanceof UnsafeHTML)) {
+        this.innerHTML = String(element);
         return this;
     }
 
-    return this.append(element);
+    return Elements.methods.Element.append.call(this, element);
 };
 
 /**
  * Append the child element before all other child elements
  *
- * @param element {Element} - the element to prepend
+ * @param element {Element|DocumentFragment} - the element to prepend
  * @return {Element} - return this (the element who called the function)
  */
-Element.prototype.prepend = function(element) {
-    if (element instanceof Element) {
+Elements.methods.Element.prepend = function(element) {
+    if (element instanceof Element || element instanceof DocumentFragment) {
         this.insertBefore(element, this.firstChild)
     }
 
@@ -191,7 +331,7 @@ Element.prototype.prepend = function(element) {
  * @param element {Element} - the element we wish to exclude
  * @return {any} - this element if it doesn't match the given element, otherwise an empty span
  */
-Element.prototype.not = function(element) {
+Elements.methods.Element.not = function(element) {
     return (this === element) ? document.createElement('span') : this;
 };
 
@@ -201,7 +341,7 @@ Element.prototype.not = function(element) {
  * @param text {*}, optional - the text to be set for the element
  * @return {string|Element} - return the element if text was set, otherwise return the existing element's text
  */
-Element.prototype.text = function(text) {
+Elements.methods.Element.text = function(text) {
     if (typeof text !== 'undefined') {
         this.appendChild(document.createTextNode(text));
         return this;
@@ -218,7 +358,7 @@ Element.prototype.text = function(text) {
  * @return {String|Element|*} - returns this if attr was set (v is defined), return (get) the attr's value if
  *                              v is undefined
  */
-Element.prototype.attr = function(k, v) {
+Elements.methods.Element.attr = function(k, v) {
     if (k === 'value') {
         if (typeof v !== 'undefined') {
             this.value = v;
@@ -228,7 +368,7 @@ Element.prototype.attr = function(k, v) {
     }
 
     if (typeof v !== 'undefined') {
-        this.setAttribute(k, v);
+        Elements.setAttribute(this, k, v);
     } else {
         let attr = this.getAttribute(k);
 
@@ -243,17 +383,93 @@ Element.prototype.attr = function(k, v) {
  * @param v {*}, optional - the value to set
  * @return {String|Element|*} - returns this if value was set (v is defined), return (get) the value if v is undefined
  */
-Element.prototype.val = function(v) {
-    return this.attr('value', v);
+Elements.methods.Element.val = function(v) {
+    return Elements.methods.Element.attr.call(this, 'value', v);
+};
+
+/**
+ * Get or set data stored on the element - any value (objects, models, chart instances...), not just strings.
+ * a key missing from the store is read from the element's data-* attribute (once), with JSON, number, Boolean
+ * and null values parsed. the data is released when the element is garbage collected, removed or emptied
+ * with remove() or empty()
+ *
+ * @param k {String|Object} (optional) - the key (data-* attribute name, dashed or camelCase), or a {key: value} map
+ *                                       to set, all the data is returned when omitted
+ * @param v {*} (optional) - the value to set
+ * @return {*|Object|Element} - the value, all the data, or this when setting
+ */
+Elements.methods.Element.data = function(k, v) {
+    let data = Elements.dataStore.get(this);
+
+    if (typeof data === 'undefined') {
+        data = Object.create(null);
+        Elements.dataStore.set(this, data);
+    }
+
+    if (typeof k === 'undefined') {
+        Object.keys(this.dataset || {}).forEach((key) => {
+            if (!(key in data)) { data[key] = Elements.parseData(this.dataset[key]); }
+        });
+
+        return data;
+    }
+
+    if (typeof k === 'object') {
+        Object.keys(k).forEach((key) => { Elements.methods.Element.data.call(this, key, k[key]); });
+        return this;
+    }
+
+    k = Elements.dataKey(k);
+
+    if (typeof v !== 'undefined') {
+        data[k] = v;
+        return this;
+    }
+
+    if (!(k in data) && this.dataset && k in this.dataset) { data[k] = Elements.parseData(this.dataset[k]); }
+
+    return data[k];
+};
+
+/**
+ * Remove data stored on the element, the data-* attributes are kept (so a removed key is read from them again)
+ *
+ * @param k {String|Array} (optional) - the keys separated by spaces, or an array of keys, all the data when omitted
+ * @return {Element} - return this (the element who called the function)
+ */
+Elements.methods.Element.removeData = function(k) {
+    let data = Elements.dataStore.get(this);
+
+    if (typeof data === 'undefined') { return this; }
+
+    if (typeof k === 'undefined') {
+        Elements.dataStore.delete(this);
+    } else {
+        (Array.isArray(k) ? k : k.split(' ')).forEach((key) => { if (key) { delete data[Elements.dataKey(key)]; } });
+    }
+
+    return this;
 };
 
 /**
  * Use our predefined on function to listen to event on elements
  *
  * @param action {String} - event name
+ * @param selector {String} (optional) - a css selector to delegate the event to
+ * @param callback {Function} - event handler callback
+ * @param options {Object|Boolean} (optional) - addEventListener options - capture, passive, once, signal
+ */
+Elements.methods.Element.on = function(action, selector, callback, options) { Elements.on.call(this, action, selector, callback, options) };
+
+/**
+ * Use our predefined once function to listen to a single event on elements
+ *
+ * @param action {String} - event name
+ * @param selector {String} (optional) - a css selector to delegate the event to
  * @param callback {Function} - event handler callback
+ * @param options {Object|Boolean} (optional) - addEventListener options - capture, passive, signal
  */
-Element.prototype.on = function(action, callback) { Elements.on.call(this, action, callback) };
+Elements.methods.Element.once = function(action, selector, callback, options) { Elements.once.call(this, action, selector, callback, options) };
 
 /**
  * Use our predefined dispatch function to trigger new custom events from the element
@@ -263,396 +479,1962 @@ Element.prototype.on = function(action, callback) { Elements.on.call(this, actio
  *                                     best practice will be to pass the details as properties
  * @param event_init {EventInit} (optional) - a dictionary with the following fields: bubbles, cancelable, composed
  */
-Element.prototype.dispatch = function(action, detail, event_init) { Elements.dispatch.call(this, action, detail, event_init) };
+Elements.methods.Element.dispatch = function(action, detail, event_init) { Elements.dispatch.call(this, action, detail, event_init) };
 
 /**
  * Use our predefined unbind function to easily remove event listeners set with our on function from the element
  *
- * @param action {String} - the name for the event that we want to unbind
+ * @param action {String} (optional) - the name for the event that we want to unbind, can be namespaced
+ * @param selector {String} (optional) - only unbind the handlers delegated to this selector
  * @param callback {Function} (optional) - the event handler - the callback function to unbind
  */
-Element.prototype.unbind = function(action, callback) { Elements.unbind.call(this, action, callback) };
+Elements.methods.Element.unbind = function(action, selector, callback) { Elements.unbind.call(this, action, selector, callback) };
 
 /**
- * Query for sub-elements of the calling element
+ * Call a function when the element is added to the document (right away if it's in the document) - every time it's
+ * added. the function can return a cleanup function, called when the element is removed
  *
- * @param t {String} - the query string (class names, id, etc...)
- * @return {Element|undefined} - return the sub elements that were queried or undefined if they do not exist
+ * @param callback {Function} - called with the element (and as this)
+ * @return {Element} - return this (the element who called the function)
  */
-Element.prototype.find = function(t) {
-    return Query(t, this);
+Elements.methods.Element.onMount = function(callback) {
+    this._mountHooks = (this._mountHooks || []).concat([callback]);
+    Elements.lifecycle.observe();
+
+    if (this.isConnected) {
+        this._mounted = true;
+        Elements.lifecycle.callMount(this, callback);
+    }
+
+    return this;
 };
 
 /**
- * Set the an elements css dynamically using a property name to value dictionary
+ * Call a function when the element is removed from the document - every time it's removed, removing the element's
+ * timers, subscriptions, etc...
  *
- * @param stylesHash {Object} - property name to value dictionary {display: 'block', 'z-index': 10, ...}
+ * @param callback {Function} - called with the element (and as this)
  * @return {Element} - return this (the element who called the function)
  */
-Element.prototype.css = function(stylesHash) {
-    Object.keys(stylesHash).forEach( (k) => {
-        if (typeof stylesHash[k] !== 'undefined') {
-            this.style[k] = stylesHash[k];
-            return this;
-        }
-    });
+Elements.methods.Element.onUnmount = function(callback) {
+    this._unmountHooks = (this._unmountHooks || []).concat([callback]);
+    if (typeof this._mountHooks === 'undefined') { this._mountHooks = []; }
+
+    Elements.lifecycle.observe();
+    if (this.isConnected) { this._mounted = true; }
 
     return this;
 };
 
 /**
- * Sets the Element object length to 1 to support enumeration
- *
- * @type {number}
- */
-Element.prototype.length = 1;
-
-/**
- * Use our predefined on function to listen to event on the Document
+ * Query for sub-elements of the calling element
  *
- * @param action {String} - event name
- * @param callback {Function} - event handler callback
+ * @param t {String} - the query string, any css selector
+ * @return {NodeList|Element|undefined} - the sub elements that were queried, see Query
  */
-Document.prototype.on = function(action, callback) { Elements.on.call(this, action, callback) };
+Elements.methods.Element.find = function(t) {
+    return Query(t, this);
+};
 
 /**
- * Use our predefined dispatch function to trigger new custom events from the Document
- *
- * @param action {String}, event name
- * @param detail {Object},(optional) - the event details - default is an empty object,
- *                                     best practice will be to pass the details as properties
+ * Get the element's parent (the built-in closest is kept, it returns the element itself)
  *
- * @param event_init {EventInit} (optional) - a dictionary with the following fields: bubbles, cancelable, composed
+ * @param selector {String} (optional) - only get the parent if it matches the selector
+ * @return {NodeList} - the parent, or an empty NodeList
  */
-Document.prototype.dispatch = function(action, detail, event_init) { Elements.dispatch.call(this, action, detail, event_init) };
+Elements.methods.Element.parent = function(selector) {
+    return Elements.methods.NodeList.parent.call([this], selector);
+};
 
 /**
- * Use our predefined unbind function to easily remove event listeners set with our on function from the Document
+ * Get the element's ancestors, nearest first
  *
- * @param action {String} - the name for the event that we want to unbind
- * @param callback {Function} (optional) - the event handler - the callback function to unbind
+ * @param selector {String} (optional) - only get the ancestors matching the selector
+ * @return {NodeList} - the ancestors
  */
-Document.prototype.unbind = function(action, callback) { Elements.unbind.call(this, action, callback) };
+Elements.methods.Element.parents = function(selector) {
+    return Elements.methods.NodeList.parents.call([this], selector);
+};
 
 /**
- * Use our predefined on function to listen to event on the Window
+ * Get the element's sibling elements
  *
- * @param action {String} - event name
- * @param callback {Function} - event handler callback
+ * @param selector {String} (optional) - only get the siblings matching the selector
+ * @return {NodeList} - the siblings
  */
-Window.prototype.on = function(action, callback) { return Elements.on.call(this, action, callback) };
+Elements.methods.Element.siblings = function(selector) {
+    return Elements.methods.NodeList.siblings.call([this], selector);
+};
 
 /**
- * Use our predefined dispatch function to trigger new custom events from the Window
+ * Get the element's next sibling element
  *
- * @param action {String}, event name
- * @param detail {Object},(optional) - the event details - default is an empty object,
- *                                     best practice will be to pass the details as properties
- *
- * @param event_init {EventInit} (optional) - a dictionary with the following fields: bubbles, cancelable, composed
+ * @param selector {String} (optional) - only get the sibling if it matches the selector
+ * @return {NodeList} - the next sibling, or an empty NodeList
  */
-Window.prototype.dispatch = function(action, detail, event_init) { Elements.dispatch.call(this, action, detail, event_init) };
+Elements.methods.Element.next = function(selector) {
+    return Elements.methods.NodeList.next.call([this], selector);
+};
 
 /**
- * Use our predefined unbind function to easily remove event listeners set with our on function from the Window
+ * Get the element's previous sibling element
  *
- * @param action {String} - the name for the event that we want to unbind
- * @param callback {Function} (optional) - the event handler - the callback function to unbind
+ * @param selector {String} (optional) - only get the sibling if it matches the selector
+ * @return {NodeList} - the previous sibling, or an empty NodeList
  */
-Window.prototype.unbind = function(action, callback) { Elements.unbind.call(this, action, callback) };
+Elements.methods.Element.prev = function(selector) {
+    return Elements.methods.NodeList.prev.call([this], selector);
+};
 
 /**
- * Trigger click event for all elements in the NodeList
+ * Get the element's position among its sibling elements, or among the elements matching a selector
  *
- * @return {NodeList} - return this (the NodeList who called the function)
+ * @param selector {String} (optional) - get the position among the elements matching the selector
+ * @return {Number} - the position, -1 if not found
  */
-NodeList.prototype.click = function() {
-    this.forEach((n) => { n.click()});
-    return this;
+Elements.methods.Element.index = function(selector) {
+    return Elements.methods.NodeList.index.call([this], selector);
 };
 
 /**
- * Remove all the elements in the NodeList from the DOM
+ * Get the element as a NodeList if i is 0 or -1 - for symmetry with NodeList.eq
  *
- * @return {NodeList} - return this (the NodeList who called the function)
+ * @param i {Number} - the index
+ * @return {NodeList} - the element, or an empty NodeList
  */
-NodeList.prototype.remove = function() {
-    this.forEach((n) => { n.remove()});
-    return this;
+Elements.methods.Element.eq = function(i) {
+    return Elements.methods.NodeList.eq.call([this], i);
 };
 
 /**
- * Empty all the content from the elements in the NodeList
+ * Get the element as a NodeList - for symmetry with NodeList.first
  *
- * @return {NodeList} - return this (the NodeList who called the function)
+ * @return {NodeList} - the element
  */
-NodeList.prototype.empty = function() {
-    this.forEach((n) => { n.empty()});
-    return this;
+Elements.methods.Element.first = function() {
+    return Elements.nodeList([this]);
 };
 
 /**
- * Apply Element.prototype.addClass to all the elements in the NodeList
+ * Get the element as a NodeList - for symmetry with NodeList.last
  *
- * @param cls {String} - a space separated list of classes to add
- * @return {NodeList} - return this (the NodeList who called the function)
+ * @return {NodeList} - the element
  */
-NodeList.prototype.addClass = function(cls) {
-    this.forEach((n) => { n.addClass(cls)});
-    return this;
+Elements.methods.Element.last = function() {
+    return Elements.nodeList([this]);
 };
 
 /**
- * Apply Element.prototype.removeClass to all the elements in the NodeList
+ * Get the element as a NodeList if it passes the test
  *
- * @param cls {String} - a space separated list of classes to remove
- * @return {NodeList} - return this (the NodeList who called the function)
+ * @param test {String|Node|NodeList|Function} - a css selector, a node, nodes or a function (element, index)
+ * @return {NodeList} - the element, or an empty NodeList
  */
-NodeList.prototype.removeClass = function(cls) {
-    this.forEach((n) => { n.removeClass(cls)});
-    return this;
+Elements.methods.Element.filter = function(test) {
+    return Elements.methods.NodeList.filter.call([this], test);
 };
 
 /**
- * Apply Element.prototype.toggleClass to all the elements in the NodeList
+ * Call a function with the element
  *
- * @param cls {String} - a list of class names separated with spaces
- * @return {NodeList} - return this (the NodeList who called the function)
+ * @param callback {Function} - called with (element, index) and the element as this
+ * @return {Array} - the callback's return value, in an array
  */
-NodeList.prototype.toggleClass = function(cls) {
-    this.forEach((n) => { n.toggleClass(cls)});
-    return this;
+Elements.methods.Element.map = function(callback) {
+    return Elements.methods.NodeList.map.call([this], callback);
 };
 
 /**
- * Check if any of the elements in the NodeList have the class
+ * Check if the element passes the test
  *
- * @param cls {String} - a class name
- * @return {boolean}
+ * @param test {String|Node|NodeList|Function} - a css selector, a node, nodes or a function (element, index)
+ * @return {boolean} - indicating if the element passed the test
  */
-NodeList.prototype.hasClass = function(cls) {
-    let flag = false;
-
-    this.forEach((n) => { if (n.hasClass(cls)) { flag = true; } });
-
-    return flag;
+Elements.methods.Element.is = function(test) {
+    return Elements.methods.NodeList.is.call([this], test);
 };
 
 /**
+ * Get the element as a NodeList if it contains a descendant matching the selector (or the given node)
  *
- * @param element {Element|String|Number} - the element (can also be string or number) to append
- * @return {NodeList} - return this (the NodeList who called the function)
+ * @param t {String|Node} - a css selector or a node
+ * @return {NodeList} - the element, or an empty NodeList
  */
-NodeList.prototype.append = function(element) {
-    this.forEach((n) => { n.append(element)});
-    return this;
+Elements.methods.Element.has = function(t) {
+    return Elements.methods.NodeList.has.call([this], t);
 };
 
 /**
- * Filter out elements from the NodeList using a css selector or an Element or a NodeList
+ * Set the an elements css dynamically using a property name to value dictionary, or get its computed css.
+ * unitless numbers get px (except for unitless properties - opacity, z-index, etc...), custom properties are
+ * supported - {'--gap': '4px'}
  *
- * @param cssSelectorOrNodeOrNodeList {String|Element|NodeList} - the data to filter away
- * @return {NodeList} - a filtered NodeList
+ * @param stylesHash {Object|String|Array} - property name to value dictionary {display: 'block', 'z-index': 10, ...},
+ *                                           or the name (or names) of the computed properties to get
+ * @param v {*} (optional) - the value to set when stylesHash is a property name
+ * @return {Element|String|Object} - return this (the element who called the function) when setting, the computed
+ *                                   value when getting a property, a name to value dictionary when getting several
  */
-// TT Note - origin: https://stackoverflow.com/questions/49848148/pure-javascript-how-to-select-all-selectors-but-not-this
-NodeList.prototype.not = function ( cssSelectorOrNodeOrNodeList ) {
-    //Change object name(constructor.name) to "NodeList" from "Array" in console window
-    let list = ( () => { class NodeList extends Array {} return new NodeList(); } )(), excludes;
+Elements.methods.Element.css = function(stylesHash, v) {
+    if (typeof stylesHash === 'string' && typeof v === 'undefined') {
+        return getComputedStyle(this).getPropertyValue(Elements.cssName(stylesHash)).trim();
+    }
 
-    if ( typeof cssSelectorOrNodeOrNodeList === "string" ) excludes = document.querySelectorAll( cssSelectorOrNodeOrNodeList );
-    else if ( cssSelectorOrNodeOrNodeList instanceof NodeList ) excludes = cssSelectorOrNodeOrNodeList;
-    else if ( cssSelectorOrNodeOrNodeList instanceof Node ) excludes = [ cssSelectorOrNodeOrNodeList ];
+    if (Array.isArray(stylesHash)) {
+        let style = getComputedStyle(this);
+        let result = {};
 
-    if ( excludes === undefined || !excludes.length ) return this;
+        stylesHash.forEach((k) => { result[k] = style.getPropertyValue(Elements.cssName(k)).trim(); });
+        return result;
+    }
 
-    for ( const node of this ) {
-        let flag = true;
-        for ( const compare of excludes ) {
-            if ( node === compare ) {
-                flag = false;
-                break;
-            }
+    if (typeof stylesHash === 'string') { stylesHash = {[stylesHash]: v}; }
+
+    Object.keys(stylesHash).forEach( (k) => {
+        let value = stylesHash[k];
+
+        if (typeof value === 'undefined') { return; }
+        if (value === null) { value = ''; }
+
+        if (k.startsWith('--')) {
+            this.style.setProperty(k, value);
+        } else {
+            this.style[k] = (typeof value === 'number' && value !== 0 && !Elements.cssNumber[Elements.cssName(k)]) ? value + 'px' : value;
         }
-        if ( flag ) list.push( node );
-    }
-    Object.setPrototypeOf( list, NodeList.prototype );
+    });
 
-    return list;
+    return this;
 };
 
 /**
- * Apply Element's replaceWith on all elements in the NodeList
+ * Show the element, restoring the display it had before it was hidden
  *
- * @param element {Node|String} - the data (Node, String) to replace with
- * @return {NodeList} - return this (the NodeList who called the function)
+ * @return {Element} - return this (the element who called the function)
  */
-NodeList.prototype.replaceWith = function(element) {
-    this.forEach((n) => { n.replaceWith(element)});
-    return this;
+Elements.methods.Element.show = function() {
+    return Elements.display(this, true);
 };
 
 /**
+ * Hide the element with display: none, remembering its display
  *
- *
- * @param element {Element} - the element to prepend
- * @return {NodeList} - return this (the NodeList who called the function)
+ * @return {Element} - return this (the element who called the function)
  */
-NodeList.prototype.prepend = function(element) {
-    this.forEach((n) => { n.prepend(element)});
-    return this;
+Elements.methods.Element.hide = function() {
+    return Elements.display(this, false);
 };
 
 /**
- * Override the existing NodeList's elements HTML with the given element
+ * Show the element if it's hidden, otherwise hide it
  *
- * @param element {Element} - a DOM element to set over the existing elements HTML
- * @return {NodeList} - this
+ * @param state {Boolean} (optional) - show (true) or hide (false) the element instead of toggling
+ * @return {Element} - return this (the element who called the function)
  */
-NodeList.prototype.html = function(element) {
-    this.forEach((n) => { n.html(element)});
-    return this;
+Elements.methods.Element.toggle = function(state) {
+    return Elements.display(this, (typeof state === 'boolean') ? state : Elements.isHidden(this));
 };
 
 /**
- * Get or set NodeList text
- * Override the existing NodeList's elements text with the given text or return text of the first node in the list
+ * Get or set the element's content width (without padding, border and margin)
  *
- * @param text {String} - the new text to override with
- * @return {NodeList|String|*} - this or the text of the first element
+ * @param v {Number|String} (optional) - the width to set, numbers are pixels
+ * @return {Number|Element} - the width in pixels, or this when setting
  */
-NodeList.prototype.text = function(text) {
-    if (typeof text === 'undefined' && this.length > 0) { return this[0].text() }
-
-    this.forEach((n) => { n.text(text)});
-    return this;
+Elements.methods.Element.width = function(v) {
+    return Elements.size(this, 'width', 'content', v);
 };
 
 /**
- * Get or set NodeList elements value attribute
- * Override the existing NodeList's elements value attribute with the given text or
- * return value of the first node in the list
+ * Get or set the element's content height (without padding, border and margin)
  *
- * @param v {*} - any value that can be converted to string
- * @return {NodeList|String|Element|string|*} - this or the value attribute of the first element
+ * @param v {Number|String} (optional) - the height to set, numbers are pixels
+ * @return {Number|Element} - the height in pixels, or this when setting
  */
-NodeList.prototype.val = function(v) {
-    if (typeof v === 'undefined' && this.length > 0) { return this[0].val() }
-
-    this.forEach((n) => { n.val(v)});
-    return this;
+Elements.methods.Element.height = function(v) {
+    return Elements.size(this, 'height', 'content', v);
 };
 
 /**
- * Set the attribute for all elements in the NodeList
+ * Get or set the element's width with its padding
  *
- * @param k {String} - the attribute key
- * @param v {*} - the attribute's value (any value that can be converted to string)
- * @return {NodeList} - this
+ * @param v {Number} (optional) - the width to set in pixels
+ * @return {Number|Element} - the width in pixels, or this when setting
  */
-NodeList.prototype.attr = function(k,v) {
-    this.forEach((n) => { n.attr(k,v)});
-    return this;
+Elements.methods.Element.innerWidth = function(v) {
+    return Elements.size(this, 'width', 'padding', v);
 };
 
 /**
- * Set event listener to all elements in the NodeList
+ * Get or set the element's height with its padding
  *
- * @param action {String} - event name
- * @param callback {function} - event handler (callback function)
- * @return {NodeList} - this
+ * @param v {Number} (optional) - the height to set in pixels
+ * @return {Number|Element} - the height in pixels, or this when setting
  */
-NodeList.prototype.on = function(action, callback) {
-    this.forEach((n) => { n.on(action, callback)});
-    return this;
+Elements.methods.Element.innerHeight = function(v) {
+    return Elements.size(this, 'height', 'padding', v);
 };
 
 /**
- * Trigger a new custom event for all elements in the NodeList
- *
- * @param action {String}, event name
- * @param detail {Object},(optional) - the event details - default is an empty object,
- *                                     best practice will be to pass the details as properties
+ * Get or set the element's width with its padding and border (and margin)
  *
- * @param event_init {EventInit} (optional) - a dictionary with the following fields: bubbles,
- *                                            cancelable, composed
- * @return {NodeList} - this
+ * @param v {Number|Boolean} (optional) - the width to set in pixels, or true to get the width with the margin
+ * @return {Number|Element} - the width in pixels, or this when setting
  */
-NodeList.prototype.dispatch = function(action, detail, event_init) {
-    this.forEach((n) => { n.dispatch(action, detail, event_init) });
-    return this;
+Elements.methods.Element.outerWidth = function(v) {
+    if (typeof v === 'boolean') { return Elements.size(this, 'width', v ? 'margin' : 'border'); }
+    return Elements.size(this, 'width', 'border', v);
 };
 
 /**
- * Unbind the event handler from all elements in the NodeList
+ * Get or set the element's height with its padding and border (and margin)
  *
- * @param action {String} - the name for the event that we want to unbind
- * @param callback {Function} (optional) - the event handler - the callback function to unbind
- * @return {NodeList} - this
+ * @param v {Number|Boolean} (optional) - the height to set in pixels, or true to get the height with the margin
+ * @return {Number|Element} - the height in pixels, or this when setting
  */
-NodeList.prototype.unbind = function(action, callback) {
-    this.forEach((n) => { n.unbind(action, callback) });
-    return this;
+Elements.methods.Element.outerHeight = function(v) {
+    if (typeof v === 'boolean') { return Elements.size(this, 'height', v ? 'margin' : 'border'); }
+    return Elements.size(this, 'height', 'border', v);
 };
 
 /**
- * Query from all NodeList's elements and return merged results
+ * Get the element's position relative to the document
  *
- * @param t {String} - query string
- * @return {NodeListOf<ChildNode>} - all queried results
+ * @return {{top: Number, left: Number}} - the position in pixels
  */
-NodeList.prototype.querySelectorAll = function(t) {
-    let fragment = document.createDocumentFragment();
-
-    this.forEach((n) => {
-        let nodeList = n.querySelectorAll(t);
-        nodeList.forEach(($el) => { fragment.appendChild($el) })
-    });
-
-    return fragment.childNodes;
+Elements.methods.Element.offset = function() {
+    let rect = this.getBoundingClientRect();
+    return {top: rect.top + window.pageYOffset, left: rect.left + window.pageXOffset};
 };
 
 /**
- * Set css attributes for all elements in the NodeList from a dictionary object of form
- * { css_property_name: css_property_value }
+ * Get the element's position relative to its offset parent (the position css top and left would give it)
  *
- * @param stylesHash {Object} - a dictionary object as described above
- * @return {NodeList} - this
+ * @return {{top: Number, left: Number}} - the position in pixels
  */
-NodeList.prototype.css = function(stylesHash) {
-    this.forEach((n) => { n.css(stylesHash)});
-    return this;
+Elements.methods.Element.position = function() {
+    let parent = this.offsetParent || document.documentElement;
+    let rect = this.getBoundingClientRect();
+    let parent_rect = parent.getBoundingClientRect();
+    let style = getComputedStyle(this);
+
+    return {
+        top: rect.top - parent_rect.top - parent.clientTop + parent.scrollTop - (parseFloat(style.marginTop) || 0),
+        left: rect.left - parent_rect.left - parent.clientLeft + parent.scrollLeft - (parseFloat(style.marginLeft) || 0)
+    };
 };
 
 /**
- * Query for existing element ot create it
+ * Get or set the element's vertical scroll position, the built-in scrollTop property is kept on extended elements -
+ * use the method through $() or a NodeList
  *
- * @param t {String|ElementCreationOptions|Element} - the element we wish to create or a css selector string or a DOM
- *                                                    element
- * @param $el {Element} - DOM element to query from
- * @return {any|HTMLElement} - returns a new element we wanted to create,
- *                             the element we queried for oR an empty NodeList
- * @constructor
+ * @param v {Number} (optional) - the scroll position to set
+ * @return {Number|Element} - the scroll position in pixels, or this when setting
  */
-const El = function(t, $el) {
-    let q = Query(t, $el);
-    if (typeof q !== 'undefined') { return q; }
+Elements.methods.Element.scrollTop = function(v) {
+    if (typeof v === 'undefined') { return Object.getOwnPropertyDescriptor(Element.prototype, 'scrollTop').get.call(this); }
 
-    return document.createElement(t);
+    Object.getOwnPropertyDescriptor(Element.prototype, 'scrollTop').set.call(this, v);
+    return this;
 };
 
 /**
+ * Get or set the element's horizontal scroll position, the built-in scrollLeft property is kept on extended
+ * elements - use the method through $() or a NodeList
  *
- * @param t {String|ElementCreationOptions|Element} - the element we wish to create or a css selector string or a DOM
- *                                                    element
- *
- * @param $el {Element|undefined=} - DOM element to query from
- * @return {any} - returns the element we queried for oR an empty NodeList
- * @constructor
+ * @param v {Number} (optional) - the scroll position to set
+ * @return {Number|Element} - the scroll position in pixels, or this when setting
  */
-const Query = function(t, $el) {
-    let q;
+Elements.methods.Element.scrollLeft = function(v) {
+    if (typeof v === 'undefined') { return Object.getOwnPropertyDescriptor(Element.prototype, 'scrollLeft').get.call(this); }
 
-    if (typeof t === 'object' || typeof $el !== 'undefined') {
+    Object.getOwnPropertyDescriptor(Element.prototype, 'scrollLeft').set.call(this, v);
+    return this;
+};
+
+/**
+ * Scroll the element into view only if it's not fully visible, by the shortest distance, smoothly unless the user
+ * prefers reduced motion
+ *
+ * @param options {Object} (optional) - scrollIntoView options - behavior, block, inline
+ * @return {Element} - return this (the element who called the function)
+ */
+Elements.methods.Element.scrollIntoViewSmart = function(options) {
+    if (Elements.methods.Element.isInViewport.call(this, true)) { return this; }
+
+    let reduced = typeof window.matchMedia === 'function' && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    this.scrollIntoView(Object.assign({behavior: reduced ? 'auto' : 'smooth', block: 'nearest', inline: 'nearest'}, options));
+
+    return this;
+};
+
+/**
+ * Check if the element is in the viewport
+ *
+ * @param fully {Boolean} (optional) - check if the whole element is in the viewport, not just a part of it
+ * @return {boolean} - indicating if the element is in the viewport
+ */
+Elements.methods.Element.isInViewport = function(fully) {
+    let rect = this.getBoundingClientRect();
+    let vw = window.innerWidth || document.documentElement.clientWidth;
+    let vh = window.innerHeight || document.documentElement.clientHeight;
+
+    if (rect.width === 0 && rect.height === 0 && Elements.isHidden(this)) { return false; }
+
+    if (fully) { return rect.top >= 0 && rect.left >= 0 && rect.bottom <= vh && rect.right <= vw; }
+    return rect.top < vh && rect.left < vw && rect.bottom > 0 && rect.right > 0;
+};
+
+/**
+ * Render a list of items as the element's children, reconciling the existing children by key - only the nodes of
+ * added items are inserted, the nodes of removed items are removed and the nodes that changed position are moved,
+ * so kept nodes keep their focus, scroll position and input state.
+ * new nodes dispatch a list:insert event after they're inserted, removed nodes dispatch a cancelable list:remove event
+ * before they're removed - the events bubble and their detail is {item, key, index, node}. a list:remove listener can
+ * call preventDefault and remove the node itself (after a leave animation) with detail.remove()
+ *
+ * @param items {Array} - the items to render
+ * @param keyFn {Function|String} - returns the item's unique key - (item, index) => key, or the key property name
+ * @param renderFn {Function} - creates the item's node - (item, index) => Element, anything but a Node throws a
+ *                              TypeError. duplicate keys throw an Error before the children are touched
+ * @param updateFn {Function} (optional) - updates a kept item's node - (node, item, index) => void
+ * @return {Element} - return this (the element who called the function)
+ */
+Elements.methods.Element.renderList = function(items, keyFn, renderFn, updateFn) {
+    let key_of = (typeof keyFn === 'function') ? keyFn : (item) => item[keyFn];
+    let old_nodes = new Map();
+    let old_index = new Map();
+    let unkeyed = [];
+
+    items = Array.from(items || []);
+
+    // validate the keys before the DOM is touched
+    let keys = items.map((item, i) => key_of(item, i));
+    let seen = new Set();
+
+    keys.forEach((key) => {
+        if (seen.has(key)) { throw new Error('renderList: duplicate key ' + String(key)); }
+        seen.add(key);
+    });
+
+    Array.from(this.children).forEach((n) => {
+        if (n._listLeaving) { return; }
+
+        if (typeof n._listKey === 'undefined' || old_nodes.has(n._listKey)) {
+            unkeyed.push(n);
+        } else {
+            old_index.set(n, old_nodes.size);
+            old_nodes.set(n._listKey, n);
+        }
+    });
+
+    let nodes = items.map((item, i) => {
+        let key = keys[i];
+        let n = old_nodes.get(key);
+
+        if (typeof n !== 'undefined') {
+            old_nodes.delete(key);
+            if (typeof updateFn === 'function') { updateFn.call(this, n, item, i); }
+        } else {
+            n = renderFn.call(this, item, i);
+
+            if (!(n instanceof Node)) {
+                throw new TypeError('renderList: renderFn must return a Node, got ' + typeof n + ' for key ' + String(key));
+            }
+
+            n._listKey = key;
+            n._listInserted = true;
+        }
+
+        n._listItem = item;
+        return n;
+    });
+
+    unkeyed.forEach((n) => { this.removeChild(n); });
+
+    old_nodes.forEach((n, key) => {
+        let remove = () => { if (n.parentNode) { n.parentNode.removeChild(n); } };
+        let detail = {item: n._listItem, key: key, index: old_index.get(n), node: n, remove: remove};
+
+        n._listLeaving = true;
+        if (Elements.dispatch.call(n, 'list:remove', detail, {bubbles: true, cancelable: true})) { remove(); }
+    });
+
+    // the kept nodes in the longest increasing run of their old positions stay, the other nodes are moved
+    let stay = new Set(Elements.longestIncreasing(nodes.map((n) => n._listInserted ? -1 : old_index.get(n))).map((i) => nodes[i]));
+
+    // from the end, so the next node is always in place
+    for (let i = nodes.length - 1; i >= 0; i--) {
+        if (!stay.has(nodes[i])) { this.insertBefore(nodes[i], nodes[i + 1] || null); }
+    }
+
+    nodes.forEach((n, i) => {
+        if (!n._listInserted) { return; }
+
+        delete n._listInserted;
+        Elements.dispatch.call(n, 'list:insert', {item: n._listItem, key: n._listKey, index: i, node: n}, {bubbles: true});
+    });
+
+    return this;
+};
+
+/**
+ * Get the indexes of the longest strictly increasing subsequence of non-negative values (negative values are skipped)
+ *
+ * @param values {Array} - numbers
+ * @return {Array} - the indexes of the subsequence's values, in order
+ */
+Elements.longestIncreasing = function(values) {
+    let tails = [];
+    let previous = [];
+
+    values.forEach((v, i) => {
+        if (v < 0) { return; }
+
+        let lo = 0, hi = tails.length;
+
+        while (lo < hi) {
+            let mid = (lo + hi) >> 1;
+            if (values[tails[mid]] < v) { lo = mid + 1; } else { hi = mid; }
+        }
+
+        previous[i] = (lo > 0) ? tails[lo - 1] : -1;
+        tails[lo] = i;
+    });
+
+    let result = [];
+    for (let i = tails.length > 0 ? tails[tails.length - 1] : -1; i > -1; i = previous[i]) { result.unshift(i); }
+
+    return result;
+};
+
+/**
+ * The elements data - element to {key: value}, used by the data method. a WeakMap, so the data of garbage collected
+ * elements is released
+ *
+ * @type {WeakMap}
+ */
+Elements.dataStore = new WeakMap();
+
+/**
+ * Get a data key as used by dataset - user-id and data-user-id => userId
+ *
+ * @param k {String} - the key
+ * @return {String} - the camelCase key
+ */
+Elements.dataKey = function(k) {
+    return String(k).replace(/^data-/, '').replace(/-([a-z])/g, (m, c) => c.toUpperCase());
+};
+
+/**
+ * Parse a data-* attribute value - 'true', 'false' and 'null', numbers and JSON objects and arrays are parsed,
+ * anything else is kept as a string
+ *
+ * @param v {String} - the attribute value
+ * @return {*} - the parsed value
+ */
+Elements.parseData = function(v) {
+    if (v === 'true') { return true; }
+    if (v === 'false') { return false; }
+    if (v === 'null') { return null; }
+    if (v.trim() !== '' && String(Number(v)) === v) { return Number(v); }
+
+    if (/^\s*[\[{]/.test(v)) {
+        try { return JSON.parse(v); } catch (e) { /* not JSON, keep the string */ }
+    }
+
+    return v;
+};
+
+/**
+ * Namespace for the elements lifecycle - a shared MutationObserver calls the onMount and onUnmount hooks of the
+ * elements added to and removed from the document, and unbinds the listeners (set with on) of removed elements and
+ * their descendants. an element moved in the document (removed and added back at once) is not unmounted
+ *
+ * @namespace Elements.lifecycle
+ */
+Elements.lifecycle = {
+    /**
+     * Indicating if the listeners of removed elements are unbound, disable it to keep the listeners of elements
+     * that are detached and added back later
+     *
+     * @type {boolean}
+     */
+    auto_unbind: true,
+
+    /**
+     * The shared MutationObserver, started by the first listener or hook set on an element
+     *
+     * @type {MutationObserver|undefined}
+     */
+    observer: undefined,
+
+    /**
+     * Start observing the document, and a shadow root - the document observer doesn't see the changes made inside
+     * shadow roots
+     *
+     * @param root {ShadowRoot} (optional) - a shadow root to observe too
+     */
+    observe: function(root) {
+        if (typeof MutationObserver === 'undefined' || !document.documentElement) { return; }
+
+        if (!Elements.lifecycle.observer) {
+            Elements.lifecycle.observer = new MutationObserver((records) => { Elements.lifecycle.mutations(records); });
+            Elements.lifecycle.observer.observe(document.documentElement, {childList: true, subtree: true});
+        }
+
+        if (root) { Elements.lifecycle.observer.observe(root, {childList: true, subtree: true}); }
+    },
+
+    /**
+     * Handle the document mutations - unmount the removed elements, then mount the added ones
+     *
+     * @param records {Array} - MutationRecords
+     */
+    mutations: function(records) {
+        records.forEach((record) => {
+            record.removedNodes.forEach((n) => {
+                // a component's slotted children are kept while the component is in the document
+                if (n._slotHost && n._slotHost.isConnected) { return; }
+
+                if (!n.isConnected) { Elements.lifecycle.walk(n, Elements.lifecycle.unmount); }
+            });
+        });
+
+        records.forEach((record) => {
+            record.addedNodes.forEach((n) => {
+                if (n.isConnected) { Elements.lifecycle.walk(n, Elements.lifecycle.mount); }
+            });
+        });
+    },
+
+    /**
+     * Call a function with an element and all its descendant elements, including the elements in their shadow roots
+     * (open ones, and the closed roots of components)
+     *
+     * @param n {Node} - the root
+     * @param fn {Function} - called with every element
+     */
+    walk: function(n, fn) {
+        if (!(n instanceof Element)) { return; }
+
+        [n].concat(Array.from(n.querySelectorAll('*'))).forEach(($el) => {
+            fn($el);
+
+            let shadow = $el.shadowRoot || $el._root;
+            if (shadow) { Array.from(shadow.children).forEach((child) => { Elements.lifecycle.walk(child, fn); }); }
+        });
+    },
+
+    /**
+     * Call the element's onMount hooks, if it's not mounted
+     *
+     * @param $el {Element} - the element
+     */
+    mount: function($el) {
+        if ($el._mounted || typeof $el._mountHooks === 'undefined') { return; }
+
+        $el._mounted = true;
+        $el._mountHooks.forEach((hook) => { Elements.lifecycle.callMount($el, hook); });
+    },
+
+    /**
+     * Call an onMount hook, the function it returns is called (once) on unmount
+     *
+     * @param $el {Element} - the element
+     * @param hook {Function} - the hook
+     */
+    callMount: function($el, hook) {
+        let cleanup = hook.call($el, $el);
+
+        if (typeof cleanup === 'function') {
+            $el._unmountCleanups = ($el._unmountCleanups || []).concat([cleanup]);
+        }
+    },
+
+    /**
+     * Call the element's onUnmount hooks and unbind its listeners
+     *
+     * @param $el {Element} - the element
+     * @param force {Boolean} (optional) - call the hooks even if the element wasn't seen mounted yet - for elements
+     *                                     removed before the observer ran
+     */
+    unmount: function($el, force) {
+        if ($el._mounted || (force && typeof $el._unmountHooks !== 'undefined')) {
+            let cleanups = $el._unmountCleanups || [];
+
+            $el._mounted = false;
+            $el._unmountCleanups = [];
+
+            cleanups.concat($el._unmountHooks || []).forEach((hook) => { hook.call($el, $el); });
+        }
+
+        if (Elements.lifecycle.auto_unbind && typeof $el._eventsRegistry !== 'undefined') { Elements.unbind.call($el); }
+    }
+};
+
+/**
+ * Namespace for debugging helpers
+ *
+ * @namespace Elements.debug
+ */
+Elements.debug = {
+    /**
+     * List the handlers registered with on that are still attached
+     *
+     * @param $el {Element|Document|Window|NodeList} (optional) - the target, default is the document
+     * @param deep {Boolean} (optional) - include the handlers of the element's descendants
+     * @return {Array} - {target, type, namespaces, selector, callback, capture, connected}
+     */
+    listeners: function($el, deep) {
+        let targets = ($el instanceof NodeList || Array.isArray($el)) ? Array.from($el) : [$el || document];
+        let result = [];
+
+        if (deep) {
+            targets.slice().forEach((target) => {
+                if (typeof target.querySelectorAll === 'function') { targets.push.apply(targets, Array.from(target.querySelectorAll('*'))); }
+            });
+        }
+
+        targets.forEach((target) => {
+            Object.keys(target._eventsRegistry || {}).forEach((type) => {
+                target._eventsRegistry[type].forEach((entry) => {
+                    result.push({
+                        target: target, type: entry.type, namespaces: entry.namespaces, selector: entry.selector,
+                        callback: entry.callback, capture: entry.capture,
+                        connected: (target === window || target === document) ? true : !!target.isConnected
+                    });
+                });
+            });
+        });
+
+        return result;
+    }
+};
+
+/**
+ * Release the data of an element and its descendants
+ *
+ * @param $el {Node} - the element
+ */
+Elements.cleanData = function($el) {
+    Elements.dataStore.delete($el);
+
+    if (typeof $el.querySelectorAll === 'function') {
+        $el.querySelectorAll('*').forEach((n) => { Elements.dataStore.delete(n); });
+    }
+};
+
+/**
+ * Create a NodeList from nodes - an Array typed as the source list (a NodeList, or an ElementsCollection), so it has
+ * the NodeList methods
+ *
+ * @param nodes {Array|NodeList} - the nodes, duplicates are skipped
+ * @param source {NodeList|ElementsCollection|Element} (optional) - the list the nodes were taken from
+ * @return {NodeList|ElementsCollection} - the list
+ */
+Elements.nodeList = function(nodes, source) {
+    //Change object name(constructor.name) to "NodeList" from "Array" in console window
+    let list = ( () => { class NodeList extends Array {} return new NodeList(); } )();
+
+    Array.from(nodes).forEach((n) => { if (list.indexOf(n) === -1) { list.push(n); } });
+    Object.setPrototypeOf(list, (source instanceof ElementsCollection) ? ElementsCollection.prototype : NodeList.prototype);
+
+    return list;
+};
+
+/**
+ * Create a test function from a css selector, a node, a list of nodes or a function
+ *
+ * @param test {String|Node|NodeList|Array|Function} - the test, a function is called with (element, index) and
+ *                                                    the element as this
+ * @return {Function} - (node, index) => Boolean
+ */
+Elements.matcher = function(test) {
+    if (typeof test === 'function') { return (n, i) => !!test.call(n, n, i); }
+    if (typeof test === 'string') { return (n) => n instanceof Element && n.matches(test); }
+    if (test instanceof Node || test === window) { return (n) => n === test; }
+    if (test && typeof test.length === 'number') { return (n) => Array.prototype.indexOf.call(test, n) > -1; }
+
+    return () => false;
+};
+
+/**
+ * Show or hide an element with its display style, a hidden element remembers its display so showing it restores it
+ *
+ * @param $el {Element} - the element
+ * @param visible {Boolean} - show (true) or hide (false) the element
+ * @return {Element} - the element
+ */
+Elements.display = function($el, visible) {
+    let hidden = Elements.isHidden($el);
+
+    if (visible && hidden) {
+        if ($el.style.display === 'none') { $el.style.display = $el._elementsDisplay || ''; }
+
+        // hidden by a stylesheet
+        if (Elements.isHidden($el)) { $el.style.display = $el._elementsDisplay || 'block'; }
+    } else if (!visible && !hidden) {
+        $el._elementsDisplay = ($el.style.display && $el.style.display !== 'none') ? $el.style.display : getComputedStyle($el).display;
+        $el.style.display = 'none';
+    }
+
+    return $el;
+};
+
+/**
+ * Check if an element is hidden with display: none
+ *
+ * @param $el {Element} - the element
+ * @return {boolean} - indicating if the element is hidden
+ */
+Elements.isHidden = function($el) {
+    return getComputedStyle($el).display === 'none';
+};
+
+/**
+ * Get a css property name as used by getPropertyValue - zIndex => z-index, custom properties are kept as they are
+ *
+ * @param k {String} - the property name
+ * @return {String} - the dashed property name
+ */
+Elements.cssName = function(k) {
+    return k.startsWith('--') ? k : k.replace(/[A-Z]/g, (c) => '-' + c.toLowerCase());
+};
+
+/**
+ * The css properties whose numbers are not pixels, by dashed name
+ *
+ * @type {Object}
+ */
+Elements.cssNumber = {
+    'opacity': true, 'z-index': true, 'font-weight': true, 'line-height': true, 'zoom': true, 'order': true,
+    'flex': true, 'flex-grow': true, 'flex-shrink': true, 'column-count': true, 'fill-opacity': true,
+    'stroke-opacity': true, 'orphans': true, 'widows': true, 'animation-iteration-count': true, 'scale': true,
+    'grid-row': true, 'grid-column': true, 'aspect-ratio': true, 'stop-opacity': true, 'flood-opacity': true,
+    'stroke-miterlimit': true
+};
+
+/**
+ * Get or set an element's size
+ *
+ * @param $el {Element} - the element
+ * @param dimension {String} - width or height
+ * @param box {String} - what the size includes - content, padding (content + padding), border (+ border) or
+ *                       margin (+ margin)
+ * @param v {Number|String} (optional) - the size to set, numbers are pixels, strings are set to the css as they are
+ * @return {Number|Element} - the size in pixels, or the element when setting
+ */
+Elements.size = function($el, dimension, box, v) {
+    let style = getComputedStyle($el);
+    let sides = (dimension === 'width') ? ['Left', 'Right'] : ['Top', 'Bottom'];
+    let sum = (prop) => sides.reduce((total, side) => total + (parseFloat(style[prop.replace('%', side)]) || 0), 0);
+
+    let padding = sum('padding%');
+    let border = sum('border%Width');
+    let extra = {content: 0, padding: padding, border: padding + border, margin: padding + border + sum('margin%')}[box];
+
+    if (typeof v === 'undefined') {
+        let size = ($el instanceof HTMLElement) ? $el[(dimension === 'width') ? 'offsetWidth' : 'offsetHeight'] : $el.getBoundingClientRect()[dimension];
+        return Elements.isHidden($el) ? 0 : Math.max(0, size - padding - border + extra);
+    }
+
+    if (typeof v === 'string' && !/^-?[\d.]+(px)?$/.test(v.trim())) {
+        $el.style[dimension] = v;
+        return $el;
+    }
+
+    let content = Math.max(0, parseFloat(v) - extra);
+    $el.style[dimension] = ((style.boxSizing === 'border-box') ? content + padding + border : content) + 'px';
+
+    return $el;
+};
+
+/**
+ * Sets the Element object length to 1 to support enumeration
+ *
+ * @type {number}
+ */
+Elements.methods.Element.length = 1;
+
+/**
+ * Use our predefined on function to listen to event on the Document
+ *
+ * @param action {String} - event name
+ * @param selector {String} (optional) - a css selector to delegate the event to
+ * @param callback {Function} - event handler callback
+ * @param options {Object|Boolean} (optional) - addEventListener options - capture, passive, once, signal
+ */
+Elements.methods.Document.on = function(action, selector, callback, options) { Elements.on.call(this, action, selector, callback, options) };
+
+/**
+ * Use our predefined once function to listen to a single event on the Document
+ *
+ * @param action {String} - event name
+ * @param selector {String} (optional) - a css selector to delegate the event to
+ * @param callback {Function} - event handler callback
+ * @param options {Object|Boolean} (optional) - addEventListener options - capture, passive, signal
+ */
+Elements.methods.Document.once = function(action, selector, callback, options) { Elements.once.call(this, action, selector, callback, options) };
+
+/**
+ * Use our predefined dispatch function to trigger new custom events from the Document
+ *
+ * @param action {String}, event name
+ * @param detail {Object},(optional) - the event details - default is an empty object,
+ *                                     best practice will be to pass the details as properties
+ *
+ * @param event_init {EventInit} (optional) - a dictionary with the following fields: bubbles, cancelable, composed
+ */
+Elements.methods.Document.dispatch = function(action, detail, event_init) { Elements.dispatch.call(this, action, detail, event_init) };
+
+/**
+ * Use our predefined unbind function to easily remove event listeners set with our on function from the Document
+ *
+ * @param action {String} (optional) - the name for the event that we want to unbind, can be namespaced
+ * @param selector {String} (optional) - only unbind the handlers delegated to this selector
+ * @param callback {Function} (optional) - the event handler - the callback function to unbind
+ */
+Elements.methods.Document.unbind = function(action, selector, callback) { Elements.unbind.call(this, action, selector, callback) };
+
+/**
+ * Use our predefined on function to listen to event on the Window
+ *
+ * @param action {String} - event name
+ * @param selector {String} (optional) - a css selector to delegate the event to
+ * @param callback {Function} - event handler callback
+ * @param options {Object|Boolean} (optional) - addEventListener options - capture, passive, once, signal
+ */
+Elements.methods.Window.on = function(action, selector, callback, options) { return Elements.on.call(this, action, selector, callback, options) };
+
+/**
+ * Use our predefined once function to listen to a single event on the Window
+ *
+ * @param action {String} - event name
+ * @param selector {String} (optional) - a css selector to delegate the event to
+ * @param callback {Function} - event handler callback
+ * @param options {Object|Boolean} (optional) - addEventListener options - capture, passive, signal
+ */
+Elements.methods.Window.once = function(action, selector, callback, options) { Elements.once.call(this, action, selector, callback, options) };
+
+/**
+ * Use our predefined dispatch function to trigger new custom events from the Window
+ *
+ * @param action {String}, event name
+ * @param detail {Object},(optional) - the event details - default is an empty object,
+ *                                     best practice will be to pass the details as properties
+ *
+ * @param event_init {EventInit} (optional) - a dictionary with the following fields: bubbles, cancelable, composed
+ */
+Elements.methods.Window.dispatch = function(action, detail, event_init) { Elements.dispatch.call(this, action, detail, event_init) };
+
+/**
+ * Use our predefined unbind function to easily remove event listeners set with our on function from the Window
+ *
+ * @param action {String} (optional) - the name for the event that we want to unbind, can be namespaced
+ * @param selector {String} (optional) - only unbind the handlers delegated to this selector
+ * @param callback {Function} (optional) - the event handler - the callback function to unbind
+ */
+Elements.methods.Window.unbind = function(action, selector, callback) { Elements.unbind.call(this, action, selector, callback) };
+
+/**
+ * Trigger click event for all elements in the NodeList
+ *
+ * @return {NodeList} - return this (the NodeList who called the function)
+ */
+Elements.methods.NodeList.click = function() {
+    this.forEach((n) => { n.click()});
+    return this;
+};
+
+/**
+ * Remove all the elements in the NodeList from the DOM
+ *
+ * @return {NodeList} - return this (the NodeList who called the function)
+ */
+Elements.methods.NodeList.remove = function() {
+    this.forEach((n) => { Elements.methods.Element.remove.call(n)});
+    return this;
+};
+
+/**
+ * Empty all the content from the elements in the NodeList
+ *
+ * @return {NodeList} - return this (the NodeList who called the function)
+ */
+Elements.methods.NodeList.empty = function() {
+    this.forEach((n) => { Elements.methods.Element.empty.call(n)});
+    return this;
+};
+
+/**
+ * Apply Element.prototype.addClass to all the elements in the NodeList
+ *
+ * @param cls {String} - a space separated list of classes to add
+ * @return {NodeList} - return this (the NodeList who called the function)
+ */
+Elements.methods.NodeList.addClass = function(cls) {
+    this.forEach((n) => { Elements.methods.Element.addClass.call(n, cls)});
+    return this;
+};
+
+/**
+ * Apply Element.prototype.removeClass to all the elements in the NodeList
+ *
+ * @param cls {String} - a space separated list of classes to remove
+ * @return {NodeList} - return this (the NodeList who called the function)
+ */
+Elements.methods.NodeList.removeClass = function(cls) {
+    this.forEach((n) => { Elements.methods.Element.removeClass.call(n, cls)});
+    return this;
+};
+
+/**
+ * Apply Element.prototype.toggleClass to all the elements in the NodeList
+ *
+ * @param cls {String} - a list of class names separated with spaces
+ * @return {NodeList} - return this (the NodeList who called the function)
+ */
+Elements.methods.NodeList.toggleClass = function(cls) {
+    this.forEach((n) => { Elements.methods.Element.toggleClass.call(n, cls)});
+    return this;
+};
+
+/**
+ * Check if any of the elements in the NodeList have the class
+ *
+ * @param cls {String} - a class name
+ * @return {boolean}
+ */
+Elements.methods.NodeList.hasClass = function(cls) {
+    let flag = false;
+
+    this.forEach((n) => { if (Elements.methods.Element.hasClass.call(n, cls)) { flag = true; } });
+
+    return flag;
+};
+
+/**
+ *
+ * @param element {Element|String|Number} - the element (can also be string or number) to append
+ * @return {NodeList} - return this (the NodeList who called the function)
+ */
+Elements.methods.NodeList.append = function(element) {
+    this.forEach((n) => { Elements.methods.Element.append.call(n, element)});
+    return this;
+};
+
+/**
+ * Filter out elements from the NodeList using a css selector or an Element or a NodeList
+ *
+ * @param cssSelectorOrNodeOrNodeList {String|Element|NodeList} - the data to filter away
+ * @return {NodeList} - a filtered NodeList
+ */
+// TT Note - origin: https://stackoverflow.com/questions/49848148/pure-javascript-how-to-select-all-selectors-but-not-this
+Elements.methods.NodeList.not = function ( cssSelectorOrNodeOrNodeList ) {
+    let list = [], excludes;
+
+    if ( typeof cssSelectorOrNodeOrNodeList === "string" ) excludes = document.querySelectorAll( cssSelectorOrNodeOrNodeList );
+    else if ( cssSelectorOrNodeOrNodeList instanceof NodeList ) excludes = cssSelectorOrNodeOrNodeList;
+    else if ( cssSelectorOrNodeOrNodeList instanceof Node ) excludes = [ cssSelectorOrNodeOrNodeList ];
+
+    if ( excludes === undefined || !excludes.length ) return this;
+
+    for ( const node of this ) {
+        let flag = true;
+        for ( const compare of excludes ) {
+            if ( node === compare ) {
+                flag = false;
+                break;
+            }
+        }
+        if ( flag ) list.push( node );
+    }
+
+    return Elements.nodeList( list, this );
+};
+
+/**
+ * Apply Element's replaceWith on all elements in the NodeList
+ *
+ * @param element {Node|String} - the data (Node, String) to replace with
+ * @return {NodeList} - return this (the NodeList who called the function)
+ */
+Elements.methods.NodeList.replaceWith = function(element) {
+    this.forEach((n) => { n.replaceWith(element)});
+    return this;
+};
+
+/**
+ *
+ *
+ * @param element {Element} - the element to prepend
+ * @return {NodeList} - return this (the NodeList who called the function)
+ */
+Elements.methods.NodeList.prepend = function(element) {
+    this.forEach((n) => { Elements.methods.Element.prepend.call(n, element)});
+    return this;
+};
+
+/**
+ * Override the existing NodeList's elements HTML with the given element
+ *
+ * @param element {Element} - a DOM element to set over the existing elements HTML
+ * @return {NodeList} - this
+ */
+Elements.methods.NodeList.html = function(element) {
+    this.forEach((n) => { Elements.methods.Element.html.call(n, element)});
+    return this;
+};
+
+/**
+ * Get or set NodeList text
+ * Override the existing NodeList's elements text with the given text or return text of the first node in the list
+ *
+ * @param text {String} - the new text to override with
+ * @return {NodeList|String|*} - this or the text of the first element
+ */
+Elements.methods.NodeList.text = function(text) {
+    if (typeof text === 'undefined' && this.length > 0) { return Elements.methods.Element.text.call(this[0]) }
+
+    this.forEach((n) => { Elements.methods.Element.text.call(n, text)});
+    return this;
+};
+
+/**
+ * Get or set NodeList elements value attribute
+ * Override the existing NodeList's elements value attribute with the given text or
+ * return value of the first node in the list
+ *
+ * @param v {*} - any value that can be converted to string
+ * @return {NodeList|String|Element|string|*} - this or the value attribute of the first element
+ */
+Elements.methods.NodeList.val = function(v) {
+    if (typeof v === 'undefined' && this.length > 0) { return Elements.methods.Element.val.call(this[0]) }
+
+    this.forEach((n) => { Elements.methods.Element.val.call(n, v)});
+    return this;
+};
+
+/**
+ * Set the attribute for all elements in the NodeList
+ *
+ * @param k {String} - the attribute key
+ * @param v {*} - the attribute's value (any value that can be converted to string)
+ * @return {NodeList} - this
+ */
+Elements.methods.NodeList.attr = function(k,v) {
+    this.forEach((n) => { Elements.methods.Element.attr.call(n, k,v)});
+    return this;
+};
+
+/**
+ * Get data stored on the first element in the NodeList, or set it for all elements
+ *
+ * @param k {String|Object} (optional) - the key, or a {key: value} map to set, all the data when omitted
+ * @param v {*} (optional) - the value to set
+ * @return {*|Object|NodeList} - the first element's value (or data), or this when setting
+ */
+Elements.methods.NodeList.data = function(k, v) {
+    if ((typeof k !== 'object' || k === null) && typeof v === 'undefined') {
+        if (this.length > 0) { return Elements.methods.Element.data.call(this[0], k) }
+        return;
+    }
+
+    this.forEach((n) => { Elements.methods.Element.data.call(n, k, v)});
+    return this;
+};
+
+/**
+ * Remove data stored on all the elements in the NodeList
+ *
+ * @param k {String|Array} (optional) - the keys separated by spaces, or an array of keys, all the data when omitted
+ * @return {NodeList} - this
+ */
+Elements.methods.NodeList.removeData = function(k) {
+    this.forEach((n) => { Elements.methods.Element.removeData.call(n, k)});
+    return this;
+};
+
+/**
+ * Set event listener to all elements in the NodeList
+ *
+ * @param action {String} - event name
+ * @param selector {String} (optional) - a css selector to delegate the event to
+ * @param callback {function} - event handler (callback function)
+ * @param options {Object|Boolean} (optional) - addEventListener options - capture, passive, once, signal
+ * @return {NodeList} - this
+ */
+Elements.methods.NodeList.on = function(action, selector, callback, options) {
+    this.forEach((n) => { Elements.on.call(n, action, selector, callback, options)});
+    return this;
+};
+
+/**
+ * Set a single run event listener to all elements in the NodeList
+ *
+ * @param action {String} - event name
+ * @param selector {String} (optional) - a css selector to delegate the event to
+ * @param callback {function} - event handler (callback function)
+ * @param options {Object|Boolean} (optional) - addEventListener options - capture, passive, signal
+ * @return {NodeList} - this
+ */
+Elements.methods.NodeList.once = function(action, selector, callback, options) {
+    this.forEach((n) => { Elements.once.call(n, action, selector, callback, options)});
+    return this;
+};
+
+/**
+ * Trigger a new custom event for all elements in the NodeList
+ *
+ * @param action {String}, event name
+ * @param detail {Object},(optional) - the event details - default is an empty object,
+ *                                     best practice will be to pass the details as properties
+ *
+ * @param event_init {EventInit} (optional) - a dictionary with the following fields: bubbles,
+ *                                            cancelable, composed
+ * @return {NodeList} - this
+ */
+Elements.methods.NodeList.dispatch = function(action, detail, event_init) {
+    this.forEach((n) => { Elements.dispatch.call(n, action, detail, event_init) });
+    return this;
+};
+
+/**
+ * Unbind the event handler from all elements in the NodeList
+ *
+ * @param action {String} (optional) - the name for the event that we want to unbind, can be namespaced
+ * @param selector {String} (optional) - only unbind the handlers delegated to this selector
+ * @param callback {Function} (optional) - the event handler - the callback function to unbind
+ * @return {NodeList} - this
+ */
+Elements.methods.NodeList.unbind = function(action, selector, callback) {
+    this.forEach((n) => { Elements.unbind.call(n, action, selector, callback) });
+    return this;
+};
+
+/**
+ * Call a function when each element in the NodeList is added to the document
+ *
+ * @param callback {Function} - called with the element (and as this)
+ * @return {NodeList} - this
+ */
+Elements.methods.NodeList.onMount = function(callback) {
+    this.forEach((n) => { Elements.methods.Element.onMount.call(n, callback) });
+    return this;
+};
+
+/**
+ * Call a function when each element in the NodeList is removed from the document
+ *
+ * @param callback {Function} - called with the element (and as this)
+ * @return {NodeList} - this
+ */
+Elements.methods.NodeList.onUnmount = function(callback) {
+    this.forEach((n) => { Elements.methods.Element.onUnmount.call(n, callback) });
+    return this;
+};
+
+/**
+ * Query from all NodeList's elements and return merged results, each element once
+ *
+ * @param t {String} - query string
+ * @return {NodeList} - all queried results
+ */
+Elements.methods.NodeList.querySelectorAll = function(t) {
+    let nodes = [];
+
+    this.forEach((n) => {
+        n.querySelectorAll(t).forEach(($el) => { if (nodes.indexOf($el) === -1) { nodes.push($el); } });
+    });
+
+    return Elements.nodeList(nodes, this);
+};
+
+/**
+ * Query for sub-elements of all the elements in the NodeList
+ *
+ * @param t {String} - the query string (class names, id, etc...)
+ * @return {NodeListOf<ChildNode>} - all queried results
+ */
+Elements.methods.NodeList.find = function(t) {
+    return Elements.methods.NodeList.querySelectorAll.call(this, t);
+};
+
+/**
+ * Get the parents of all elements in the NodeList
+ *
+ * @param selector {String} (optional) - only get the parents matching the selector
+ * @return {NodeList} - the parents, each once
+ */
+Elements.methods.NodeList.parent = function(selector) {
+    let nodes = [];
+    this.forEach((n) => { if (n.parentElement) { nodes.push(n.parentElement); } });
+
+    return Elements.methods.NodeList.filter.call(Elements.nodeList(nodes, this), selector || (() => true));
+};
+
+/**
+ * Get the ancestors of all elements in the NodeList, nearest first
+ *
+ * @param selector {String} (optional) - only get the ancestors matching the selector
+ * @return {NodeList} - the ancestors, each once
+ */
+Elements.methods.NodeList.parents = function(selector) {
+    let nodes = [];
+
+    this.forEach((n) => {
+        for (let p = n.parentElement; p; p = p.parentElement) { nodes.push(p); }
+    });
+
+    return Elements.methods.NodeList.filter.call(Elements.nodeList(nodes, this), selector || (() => true));
+};
+
+/**
+ * Get the closest element matching the selector of all elements in the NodeList - the element itself or its
+ * nearest ancestor
+ *
+ * @param selector {String} - css selector
+ * @return {NodeList} - the matching elements, each once
+ */
+Elements.methods.NodeList.closest = function(selector) {
+    let nodes = [];
+
+    this.forEach((n) => {
+        let match = (n instanceof Element) ? n.closest(selector) : null;
+        if (match) { nodes.push(match); }
+    });
+
+    return Elements.nodeList(nodes, this);
+};
+
+/**
+ * Get the child elements of all elements in the NodeList (the built-in Element.children is kept)
+ *
+ * @param selector {String} (optional) - only get the children matching the selector
+ * @return {NodeList} - the children
+ */
+Elements.methods.NodeList.children = function(selector) {
+    let nodes = [];
+    this.forEach((n) => { nodes.push.apply(nodes, Array.from(n.children || [])); });
+
+    return Elements.methods.NodeList.filter.call(Elements.nodeList(nodes, this), selector || (() => true));
+};
+
+/**
+ * Get the sibling elements of all elements in the NodeList, the elements in the NodeList are excluded
+ *
+ * @param selector {String} (optional) - only get the siblings matching the selector
+ * @return {NodeList} - the siblings, each once
+ */
+Elements.methods.NodeList.siblings = function(selector) {
+    let nodes = [];
+
+    this.forEach((n) => {
+        if (!n.parentElement) { return; }
+        Array.from(n.parentElement.children).forEach((sibling) => {
+            if (Array.prototype.indexOf.call(this, sibling) === -1) { nodes.push(sibling); }
+        });
+    });
+
+    return Elements.methods.NodeList.filter.call(Elements.nodeList(nodes, this), selector || (() => true));
+};
+
+/**
+ * Get the next sibling element of all elements in the NodeList
+ *
+ * @param selector {String} (optional) - only get the siblings matching the selector
+ * @return {NodeList} - the next siblings
+ */
+Elements.methods.NodeList.next = function(selector) {
+    let nodes = [];
+    this.forEach((n) => { if (n.nextElementSibling) { nodes.push(n.nextElementSibling); } });
+
+    return Elements.methods.NodeList.filter.call(Elements.nodeList(nodes, this), selector || (() => true));
+};
+
+/**
+ * Get the previous sibling element of all elements in the NodeList
+ *
+ * @param selector {String} (optional) - only get the siblings matching the selector
+ * @return {NodeList} - the previous siblings
+ */
+Elements.methods.NodeList.prev = function(selector) {
+    let nodes = [];
+    this.forEach((n) => { if (n.previousElementSibling) { nodes.push(n.previousElementSibling); } });
+
+    return Elements.methods.NodeList.filter.call(Elements.nodeList(nodes, this), selector || (() => true));
+};
+
+/**
+ * Get the position of the first element in the NodeList among its sibling elements (or among the elements matching
+ * a selector), or the position of an element in the NodeList
+ *
+ * @param t {String|Node} (optional) - a css selector, or the element to find in the NodeList
+ * @return {Number} - the position, -1 if not found
+ */
+Elements.methods.NodeList.index = function(t) {
+    if (t instanceof Node) { return Array.prototype.indexOf.call(this, t); }
+    if (this.length === 0) { return -1; }
+
+    let n = this[0];
+
+    if (typeof t === 'string') { return Array.prototype.indexOf.call(document.querySelectorAll(t), n); }
+
+    return n.parentElement ? Array.prototype.indexOf.call(n.parentElement.children, n) : 0;
+};
+
+/**
+ * Get the element at an index
+ *
+ * @param i {Number} - the index, negative indexes count from the end
+ * @return {NodeList} - the element, or an empty NodeList
+ */
+Elements.methods.NodeList.eq = function(i) {
+    let n = this[(i < 0) ? this.length + i : i];
+    return Elements.nodeList(n ? [n] : [], this);
+};
+
+/**
+ * Get the first element
+ *
+ * @return {NodeList} - the first element, or an empty NodeList
+ */
+Elements.methods.NodeList.first = function() {
+    return Elements.methods.NodeList.eq.call(this, 0);
+};
+
+/**
+ * Get the last element
+ *
+ * @return {NodeList} - the last element, or an empty NodeList
+ */
+Elements.methods.NodeList.last = function() {
+    return Elements.methods.NodeList.eq.call(this, -1);
+};
+
+/**
+ * Get the elements passing the test
+ *
+ * @param test {String|Node|NodeList|Function} - a css selector, a node, nodes or a function (element, index)
+ * @return {NodeList} - the elements passing the test
+ */
+Elements.methods.NodeList.filter = function(test) {
+    let match = Elements.matcher(test);
+    let nodes = [];
+
+    this.forEach((n, i) => { if (match(n, i)) { nodes.push(n); } });
+
+    return Elements.nodeList(nodes, this);
+};
+
+/**
+ * Call a function with every element in the NodeList
+ *
+ * @param callback {Function} - called with (element, index) and the element as this
+ * @return {Array} - the callback's return values
+ */
+Elements.methods.NodeList.map = function(callback) {
+    let result = [];
+    this.forEach((n, i) => { result.push(callback.call(n, n, i)); });
+
+    return result;
+};
+
+/**
+ * Check if any element in the NodeList passes the test
+ *
+ * @param test {String|Node|NodeList|Function} - a css selector, a node, nodes or a function (element, index)
+ * @return {boolean} - indicating if an element passed the test
+ */
+Elements.methods.NodeList.is = function(test) {
+    let match = Elements.matcher(test);
+    return Array.prototype.some.call(this, (n, i) => match(n, i));
+};
+
+/**
+ * Get the elements containing a descendant matching the selector (or the given node)
+ *
+ * @param t {String|Node} - a css selector or a node
+ * @return {NodeList} - the elements containing a match
+ */
+Elements.methods.NodeList.has = function(t) {
+    return Elements.methods.NodeList.filter.call(this, (n) => {
+        if (typeof t === 'string') { return n.querySelector(t) !== null; }
+        return t instanceof Node && n !== t && n.contains(t);
+    });
+};
+
+/**
+ * Set css attributes for all elements in the NodeList from a dictionary object of form
+ * { css_property_name: css_property_value }, or get the computed css of the first element
+ *
+ * @param stylesHash {Object|String|Array} - a dictionary object as described above, or the property name (or names)
+ *                                           to get
+ * @param v {*} (optional) - the value to set when stylesHash is a property name
+ * @return {NodeList|String|Object} - this, or the computed css of the first element
+ */
+Elements.methods.NodeList.css = function(stylesHash, v) {
+    if ((typeof stylesHash === 'string' && typeof v === 'undefined') || Array.isArray(stylesHash)) {
+        if (this.length > 0) { return Elements.methods.Element.css.call(this[0], stylesHash) }
+        return;
+    }
+
+    this.forEach((n) => { Elements.methods.Element.css.call(n, stylesHash, v)});
+    return this;
+};
+
+/**
+ * Show all elements in the NodeList
+ *
+ * @return {NodeList} - this
+ */
+Elements.methods.NodeList.show = function() {
+    this.forEach((n) => { Elements.methods.Element.show.call(n) });
+    return this;
+};
+
+/**
+ * Hide all elements in the NodeList
+ *
+ * @return {NodeList} - this
+ */
+Elements.methods.NodeList.hide = function() {
+    this.forEach((n) => { Elements.methods.Element.hide.call(n) });
+    return this;
+};
+
+/**
+ * Toggle the visibility of every element in the NodeList
+ *
+ * @param state {Boolean} (optional) - show (true) or hide (false) all the elements instead of toggling
+ * @return {NodeList} - this
+ */
+Elements.methods.NodeList.toggle = function(state) {
+    this.forEach((n) => { Elements.methods.Element.toggle.call(n, state) });
+    return this;
+};
+
+/**
+ * Get the content width of the first element in the NodeList, or set it for all elements
+ *
+ * @param v {Number|String} (optional) - the width to set, numbers are pixels
+ * @return {Number|NodeList} - the first element's content width in pixels, or this when setting
+ */
+Elements.methods.NodeList.width = function(v) {
+    if (typeof v === 'undefined' && this.length > 0) { return Elements.methods.Element.width.call(this[0], v) }
+
+    this.forEach((n) => { Elements.methods.Element.width.call(n, v)});
+    return this;
+};
+
+/**
+ * Get the content height of the first element in the NodeList, or set it for all elements
+ *
+ * @param v {Number|String} (optional) - the height to set, numbers are pixels
+ * @return {Number|NodeList} - the first element's content height in pixels, or this when setting
+ */
+Elements.methods.NodeList.height = function(v) {
+    if (typeof v === 'undefined' && this.length > 0) { return Elements.methods.Element.height.call(this[0], v) }
+
+    this.forEach((n) => { Elements.methods.Element.height.call(n, v)});
+    return this;
+};
+
+/**
+ * Get the width with padding of the first element in the NodeList, or set it for all elements
+ *
+ * @param v {Number} (optional) - the width to set in pixels
+ * @return {Number|NodeList} - the first element's width with padding in pixels, or this when setting
+ */
+Elements.methods.NodeList.innerWidth = function(v) {
+    if (typeof v === 'undefined' && this.length > 0) { return Elements.methods.Element.innerWidth.call(this[0], v) }
+
+    this.forEach((n) => { Elements.methods.Element.innerWidth.call(n, v)});
+    return this;
+};
+
+/**
+ * Get the height with padding of the first element in the NodeList, or set it for all elements
+ *
+ * @param v {Number} (optional) - the height to set in pixels
+ * @return {Number|NodeList} - the first element's height with padding in pixels, or this when setting
+ */
+Elements.methods.NodeList.innerHeight = function(v) {
+    if (typeof v === 'undefined' && this.length > 0) { return Elements.methods.Element.innerHeight.call(this[0], v) }
+
+    this.forEach((n) => { Elements.methods.Element.innerHeight.call(n, v)});
+    return this;
+};
+
+/**
+ * Get the width with padding and border of the first element in the NodeList, or set it for all elements
+ *
+ * @param v {Number|Boolean} (optional) - the width to set in pixels, or true to get the width with the margin
+ * @return {Number|NodeList} - the first element's width with padding and border in pixels, or this when setting
+ */
+Elements.methods.NodeList.outerWidth = function(v) {
+    if ((typeof v === 'undefined' || typeof v === 'boolean') && this.length > 0) { return Elements.methods.Element.outerWidth.call(this[0], v) }
+
+    this.forEach((n) => { Elements.methods.Element.outerWidth.call(n, v)});
+    return this;
+};
+
+/**
+ * Get the height with padding and border of the first element in the NodeList, or set it for all elements
+ *
+ * @param v {Number|Boolean} (optional) - the height to set in pixels, or true to get the height with the margin
+ * @return {Number|NodeList} - the first element's height with padding and border in pixels, or this when setting
+ */
+Elements.methods.NodeList.outerHeight = function(v) {
+    if ((typeof v === 'undefined' || typeof v === 'boolean') && this.length > 0) { return Elements.methods.Element.outerHeight.call(this[0], v) }
+
+    this.forEach((n) => { Elements.methods.Element.outerHeight.call(n, v)});
+    return this;
+};
+
+/**
+ * Get the vertical scroll position of the first element in the NodeList, or set it for all elements
+ *
+ * @param v {Number} (optional) - the scroll position to set
+ * @return {Number|NodeList} - the first element's vertical scroll position in pixels, or this when setting
+ */
+Elements.methods.NodeList.scrollTop = function(v) {
+    if (typeof v === 'undefined' && this.length > 0) { return Elements.methods.Element.scrollTop.call(this[0], v) }
+
+    this.forEach((n) => { Elements.methods.Element.scrollTop.call(n, v)});
+    return this;
+};
+
+/**
+ * Get the horizontal scroll position of the first element in the NodeList, or set it for all elements
+ *
+ * @param v {Number} (optional) - the scroll position to set
+ * @return {Number|NodeList} - the first element's horizontal scroll position in pixels, or this when setting
+ */
+Elements.methods.NodeList.scrollLeft = function(v) {
+    if (typeof v === 'undefined' && this.length > 0) { return Elements.methods.Element.scrollLeft.call(this[0], v) }
+
+    this.forEach((n) => { Elements.methods.Element.scrollLeft.call(n, v)});
+    return this;
+};
+
+/**
+ * Get the position of the first element in the NodeList relative to the document
+ *
+ * @return {{top: Number, left: Number}|undefined} - the position in pixels
+ */
+Elements.methods.NodeList.offset = function() {
+    if (this.length > 0) { return Elements.methods.Element.offset.call(this[0]) }
+};
+
+/**
+ * Get the position of the first element in the NodeList relative to its offset parent
+ *
+ * @return {{top: Number, left: Number}|undefined} - the position in pixels
+ */
+Elements.methods.NodeList.position = function() {
+    if (this.length > 0) { return Elements.methods.Element.position.call(this[0]) }
+};
+
+/**
+ * Check if the first element in the NodeList is in the viewport
+ *
+ * @param fully {Boolean} (optional) - check if the whole element is in the viewport
+ * @return {boolean} - indicating if the first element is in the viewport, false for an empty NodeList
+ */
+Elements.methods.NodeList.isInViewport = function(fully) {
+    return this.length > 0 && Elements.methods.Element.isInViewport.call(this[0], fully);
+};
+
+/**
+ * Scroll the first element in the NodeList into view, if it's not fully visible
+ *
+ * @param options {Object} (optional) - scrollIntoView options - behavior, block, inline
+ * @return {NodeList} - this
+ */
+Elements.methods.NodeList.scrollIntoViewSmart = function(options) {
+    if (this.length > 0) { Elements.methods.Element.scrollIntoViewSmart.call(this[0], options) }
+    return this;
+};
+
+/**
+ * Render a list of items as the children of every element in the NodeList, see Element.renderList
+ *
+ * @param items {Array} - the items to render
+ * @param keyFn {Function|String} - returns the item's unique key - (item, index) => key, or the key property name
+ * @param renderFn {Function} - creates the item's node - (item, index) => Element
+ * @param updateFn {Function} (optional) - updates a kept item's node - (node, item, index) => void
+ * @return {NodeList} - this
+ */
+Elements.methods.NodeList.renderList = function(items, keyFn, renderFn, updateFn) {
+    this.forEach((n) => { Elements.methods.Element.renderList.call(n, items, keyFn, renderFn, updateFn) });
+    return this;
+};
+
+/**
+ * Check if a value is a props object (a plain object) rather than a child
+ *
+ * @param v {*} - the value to check
+ * @return {boolean} - indicating if the value is a props object
+ */
+Elements.isProps = function(v) {
+    if (v === null || typeof v !== 'object' || Array.isArray(v)) { return false; }
+
+    let proto = Object.getPrototypeOf(v);
+    return proto === Object.prototype || proto === null;
+};
+
+/**
+ * Join class names given as a string, a {class_name: Boolean} map or an array of any of these (nested too), falsy
+ * entries are skipped - ['card', {active: true, hidden: false}, null] => 'card active'
+ *
+ * @param v {String|Array|Object} - the class names
+ * @return {String} - the class names separated by spaces
+ */
+Elements.classNames = function(v) {
+    if (Array.isArray(v)) { return v.map(Elements.classNames).filter((c) => c).join(' '); }
+    if (typeof v === 'object' && v !== null) { return Object.keys(v).filter((c) => v[c]).join(' '); }
+
+    return v ? String(v).split(/\s+/).filter((c) => c).join(' ') : '';
+};
+
+/**
+ * Apply props to an element:
+ * class - a string of class names, a {class_name: Boolean} map or an array of any of these, see Elements.classNames
+ * style - a css dictionary (see css) or a css text string
+ * dataset - a {key: value} map of data-* attributes
+ * attrs - a {name: value} map of attributes, false or null values remove the attribute, true sets it empty
+ * on* - event handlers registered with Elements.on - onClick, 'onClick.menu', 'onAjax:complete'
+ * anything else is set as a property when the element has it (id, value, checked, src...), otherwise as an attribute,
+ * on SVG (and other non HTML) elements it's always set as an attribute - viewBox, d, xlink:href...
+ *
+ * @param $el {Element} - the element
+ * @param props {Object} - the props
+ * @return {Element} - the element
+ */
+Elements.applyProps = function($el, props) {
+    let methods = Elements.methods.Element;
+
+    Object.keys(props || {}).forEach((k) => {
+        let v = props[k];
+
+        if (v === null || typeof v === 'undefined') { return; }
+
+        if (k === 'class' || k === 'className') {
+            let classes = Elements.classNames(v);
+
+            if (classes.length > 0) { methods.addClass.call($el, classes); }
+        } else if (k === 'style') {
+            (typeof v === 'string') ? $el.setAttribute('style', v) : methods.css.call($el, v);
+        } else if (k === 'dataset') {
+            Object.keys(v).forEach((d) => { if (v[d] !== null && typeof v[d] !== 'undefined') { $el.dataset[d] = v[d]; } });
+        } else if (k === 'attrs') {
+            Object.keys(v).forEach((a) => {
+                if (v[a] === false || v[a] === null) {
+                    $el.removeAttribute(a);
+                } else if (typeof v[a] !== 'undefined') {
+                    Elements.setAttribute($el, a, (v[a] === true) ? '' : v[a]);
+                }
+            });
+        } else if (/^on./.test(k) && typeof v === 'function') {
+            Elements.on.call($el, k.slice(2).toLowerCase(), v);
+        } else if (k in $el && $el.namespaceURI === Elements.namespaces.html) {
+            $el[k] = v;
+        } else {
+            Elements.setAttribute($el, k, v);
+        }
+    });
+
+    return $el;
+};
+
+/**
+ * Append children to an element - strings and numbers are added as text, nodes, NodeLists, ElementsCollections and
+ * arrays (to any depth) are appended in order, null, undefined and Booleans are skipped
+ *
+ * @param $el {Element|DocumentFragment} - the parent
+ * @param children {Array} - the children
+ * @return {Element|DocumentFragment} - the parent
+ */
+Elements.appendChildren = function($el, children) {
+    let add = (child) => {
+        if (child === null || typeof child === 'undefined' || typeof child === 'boolean') { return; }
+
+        if (typeof child === 'string' || typeof child === 'number') {
+            $el.appendChild(document.createTextNode(child));
+        } else if (child instanceof Node) {
+            $el.appendChild(child);
+        } else if (Array.isArray(child) || child instanceof NodeList || child instanceof HTMLCollection) {
+            Array.from(child).forEach(add);
+        }
+    };
+
+    add(children);
+    return $el;
+};
+
+/**
+ * The namespace URIs, by prefix
+ *
+ * @type {Object}
+ */
+Elements.namespaces = {
+    html: 'http://www.w3.org/1999/xhtml',
+    svg: 'http://www.w3.org/2000/svg',
+    math: 'http://www.w3.org/1998/Math/MathML',
+    xlink: 'http://www.w3.org/1999/xlink',
+    xml: 'http://www.w3.org/XML/1998/namespace',
+    xmlns: 'http://www.w3.org/2000/xmlns/'
+};
+
+/**
+ * The SVG tags that are created in the SVG namespace without a prefix - El('path'), h('circle'), the tags HTML
+ * has too (a, script, style, title) need the svg: prefix - h('svg:a')
+ *
+ * @type {Array}
+ */
+Elements.svgTags = ['animate', 'animateMotion', 'animateTransform', 'circle', 'clipPath', 'defs', 'desc', 'ellipse',
+    'feBlend', 'feColorMatrix', 'feComponentTransfer', 'feComposite', 'feConvolveMatrix', 'feDiffuseLighting',
+    'feDisplacementMap', 'feDistantLight', 'feDropShadow', 'feFlood', 'feFuncA', 'feFuncB', 'feFuncG', 'feFuncR',
+    'feGaussianBlur', 'feImage', 'feMerge', 'feMergeNode', 'feMorphology', 'feOffset', 'fePointLight',
+    'feSpecularLighting', 'feSpotLight', 'feTile', 'feTurbulence', 'filter', 'foreignObject', 'g', 'image', 'line',
+    'linearGradient', 'marker', 'mask', 'metadata', 'mpath', 'path', 'pattern', 'polygon', 'polyline',
+    'radialGradient', 'rect', 'set', 'stop', 'svg', 'switch', 'symbol', 'text', 'textPath', 'tspan', 'use', 'view'];
+
+/**
+ * Create an element in its namespace - a tag prefixed with a namespace (see Elements.namespaces) is created in that
+ * namespace - 'svg:a', 'math:mi', a tag in Elements.svgTags in the SVG namespace and any other tag as an HTML element
+ *
+ * @param tag {String} - the tag name
+ * @return {Element} - the new element
+ */
+Elements.create = function(tag) {
+    let match = /^([a-z]+):(.+)$/.exec(tag);
+
+    if (match && Elements.namespaces[match[1]]) {
+        return document.createElementNS(Elements.namespaces[match[1]], match[2]);
+    }
+
+    if (Elements.svgTags.indexOf(tag) > -1) { return document.createElementNS(Elements.namespaces.svg, tag); }
+
+    return document.createElement(tag);
+};
+
+/**
+ * Check if a string is a tag name (div, x-counter, svg:path) rather than a css selector
+ *
+ * @param t {String} - the string to check
+ * @return {boolean} - indicating if the string is a tag name
+ */
+Elements.isTagName = function(t) {
+    return /^([a-z]+:)?[a-zA-Z][a-zA-Z0-9]*(-[a-zA-Z0-9]*)*$/.test(t);
+};
+
+/**
+ * Set an attribute, prefixed attributes (xlink:href, xml:lang, xmlns:xlink) are set in their namespace
+ *
+ * @param $el {Element} - the element
+ * @param k {String} - the attribute name
+ * @param v {*} - the attribute value
+ * @return {Element} - the element
+ */
+Elements.setAttribute = function($el, k, v) {
+    let prefix = /^(xlink|xml|xmlns)(:|$)/.exec(k);
+
+    if (prefix) {
+        $el.setAttributeNS(Elements.namespaces[prefix[1]], k, v);
+    } else {
+        $el.setAttribute(k, v);
+    }
+
+    return $el;
+};
+
+/**
+ * Build an element - h('a', {class: 'link', href: '/', onClick: go}, 'Home', Span(null, '!'))
+ * see Elements.applyProps for the supported props and Elements.appendChildren for the supported children,
+ * props can be omitted - h('p', 'text'). SVG tags are created in the SVG namespace - h('path', {d: 'M0 0h24'}),
+ * see Elements.create
+ *
+ * @param tag {String} - the tag name of the element to create
+ * @param props {Object} (optional) - the element props
+ * @param children {...*} - the element children
+ * @return {Element} - the new element
+ */
+const h = function(tag, props, ...children) {
+    let $el = Elements.create(tag);
+
+    if (!Elements.isProps(props)) {
+        children.unshift(props);
+        props = undefined;
+    }
+
+    Elements.applyProps($el, props);
+    return Elements.appendChildren($el, children);
+};
+
+/**
+ * Query for an existing element or create it - a tag name (div, x-counter, svg:a) creates the element, any other css
+ * selector, or a tag name with a root to query from, returns the first matching element (or null). with props and
+ * children the element is built with h - El('div', {class: 'card'}, title, body), SVG tags are created in the SVG
+ * namespace - El('path'), see Elements.create. with Query.legacy only selectors starting with # or . are queried and
+ * several matches return a NodeList
+ *
+ * @param t {String|Element} - the element we wish to create or a css selector string or a DOM element
+ * @param $el {Element|NodeList|Object} - DOM element to query from, or the props of the element to create
+ * @param children {...*} (optional) - the children of the element to create
+ * @return {Element|null} - returns a new element we wanted to create, the element we queried for or null
+ * @constructor
+ */
+const El = function(t, $el, ...children) {
+    let is_root = ($el instanceof Node || $el instanceof NodeList || $el instanceof ElementsCollection);
+
+    if (children.length > 0 || (typeof $el !== 'undefined' && !is_root)) {
+        return h(t, $el, ...children);
+    }
+
+    if (Query.legacy) {
+        let q = Query(t, $el);
+        if (typeof q !== 'undefined') { return q; }
+
+        return Elements.create(t);
+    }
+
+    if (typeof t === 'string' && !is_root && Elements.isTagName(t)) { return Elements.create(t); }
+
+    return Query.one(t, $el);
+};
+
+/**
+ * Create an element, never querying for it - El.create('div', {class: 'card'}, title), see h
+ *
+ * @param tag {String} - the tag name of the element to create
+ * @param props {Object} (optional) - the element props
+ * @param children {...*} (optional) - the element children
+ * @return {Element} - the new element
+ */
+El.create = function(tag, props, ...children) {
+    return h(tag, props, ...children);
+};
+
+/**
+ * Query for elements - with Query.legacy (the default) without a root only selectors starting with # or . are
+ * queried (in the body), an element is queried by its classes, a single match returns the element and no match
+ * returns undefined. with Query.legacy off any css selector is queried and a NodeList is always returned, see
+ * Query.all
+ *
+ * @param t {String|Element|NodeList} - a css selector, or the elements
+ * @param $el {Element|NodeList|ElementsCollection|undefined=} - DOM element to query from
+ * @return {NodeList|Element|undefined} - the matching elements (with Query.legacy, the element when there's a single
+ *                                       match or undefined)
+ * @constructor
+ */
+const Query = function(t, $el) {
+    if (!Query.legacy) { return Query.all(t, $el); }
+
+    let q;
+
+    if (typeof t === 'object' || typeof $el !== 'undefined') {
         $el = $el || Body();
         t = (typeof t === 'object') ? "."+Array.from(t.classList).join(".") : t;
 
@@ -666,44 +2448,490 @@ const Query = function(t, $el) {
     return q
 };
 
+/**
+ * Keep the former Query and El behaviour for existing call sites (the default) - set ElementsConfig.legacy_query
+ * to false, or this to false at runtime, to opt in to full css selectors and unambiguous results
+ *
+ * @type {boolean}
+ */
+Query.legacy = (typeof ElementsConfig === 'undefined' || ElementsConfig.legacy_query !== false);
+
+/**
+ * Query for the first element matching any css selector - attribute, descendant, :scope...
+ *
+ * @param t {String|Element|NodeList} - a css selector, an element (returned as is) or a list of elements (its first)
+ * @param $el {Element|Document|NodeList|ElementsCollection} (optional) - the root to query from, the document when
+ *                                                                         omitted
+ * @return {Element|null} - the first matching element or null
+ */
+Query.one = function(t, $el) {
+    if (t instanceof Node) { return t; }
+
+    if (typeof t === 'string' && (typeof $el === 'undefined' || $el instanceof Node)) {
+        return ($el || document).querySelector(t);
+    }
+
+    return Query.all(t, $el)[0] || null;
+};
+
+/**
+ * Query for all the elements matching any css selector - attribute, descendant, :scope...
+ *
+ * @param t {String|Element|NodeList|Array} - a css selector, or elements to return as a NodeList
+ * @param $el {Element|Document|NodeList|ElementsCollection} (optional) - the root to query from, the document when
+ *                                                                         omitted, a list is queried from all of its
+ *                                                                         elements
+ * @return {NodeList|ElementsCollection} - the matching elements, empty when nothing matches, an ElementsCollection
+ *                                         when querying from one
+ */
+Query.all = function(t, $el) {
+    if (typeof t === 'string') {
+        if (typeof $el === 'undefined' || $el instanceof Node) { return ($el || document).querySelectorAll(t); }
+
+        return Elements.methods.NodeList.querySelectorAll.call($el, t);
+    }
+
+    if (t instanceof NodeList || t instanceof ElementsCollection) { return t; }
+    if (t === null || typeof t === 'undefined') { return Elements.nodeList([]); }
+    if (t instanceof Node) { return Elements.nodeList([t]); }
+
+    return Elements.nodeList(t);
+};
+
 /**
  *
+ * @param props {Object} (optional) - the element props, see h
+ * @param children {...*} (optional) - the element children, see h
  * @return {Element} - return a new div element
  * @constructor
  */
-const Div = function() { return El('div') };
+const Div = function(props, ...children) { return h('div', props, ...children) };
 
 /**
  *
+ * @param props {Object} (optional) - the element props, see h
+ * @param children {...*} (optional) - the element children, see h
  * @return {Element} - return a new textarea element
  * @constructor
  */
-const TextArea = function() { return El('textarea') };
+const TextArea = function(props, ...children) { return h('textarea', props, ...children) };
 
 /**
  *
+ * @param props {Object} (optional) - the element props, see h
+ * @param children {...*} (optional) - the element children, see h
  * @return {Element} - return a new input element
  * @constructor
  */
-const Input = function() { return El('input') };
+const Input = function(props, ...children) { return h('input', props, ...children) };
 
 /**
  *
+ * @param props {Object} (optional) - the element props, see h
+ * @param children {...*} (optional) - the element children, see h
  * @return {Element} - return a new span element
  * @constructor
  */
-const Span = function() { return El('span') };
+const Span = function(props, ...children) { return h('span', props, ...children) };
 
 /**
  *
+ * @param props {Object} (optional) - the element props, see h
+ * @param children {...*} (optional) - the element children, see h
  * @return {Element} - return a new img element
  * @constructor
  */
-const Img = function() { return El('img') };
+const Img = function(props, ...children) { return h('img', props, ...children) };
 
 /**
  *
  * @return {Element} - return the body
  * @constructor
  */
-const Body = function() { return document.querySelector('body') };
\ No newline at end of file
+const Body = function() { return document.querySelector('body') };
+
+/**
+ * A chainable collection of elements exposing the ElementsJS NodeList methods, without extending the built-in
+ * prototypes - create one with Elements.$ (or $)
+ */
+class ElementsCollection extends Array {}
+
+/**
+ * Wrap elements in an ElementsCollection
+ *
+ * @param t {String|Node|NodeList|Array|Window|ElementsCollection} - a css selector or the elements to wrap
+ * @param $el {Element|NodeList|ElementsCollection} (optional) - DOM element to query from when t is a selector
+ * @return {ElementsCollection} - the wrapped elements
+ */
+Elements.$ = function(t, $el) {
+    if (t instanceof ElementsCollection) { return t; }
+    if (t === null || typeof t === 'undefined') { return new ElementsCollection(); }
+
+    if (typeof t === 'string') {
+        let found = new ElementsCollection();
+
+        Elements.$($el || document).forEach((root) => {
+            root.querySelectorAll(t).forEach((n) => { if (found.indexOf(n) === -1) { found.push(n); } });
+        });
+
+        return found;
+    }
+
+    if (t instanceof Node || t === window) { return ElementsCollection.of(t); }
+
+    return ElementsCollection.from(t);
+};
+
+/**
+ * Wrap a NodeList method for ElementsCollection, so methods returning elements return an ElementsCollection
+ *
+ * @param method {Function} - the NodeList method
+ * @return {Function} - the ElementsCollection method
+ */
+Elements.collect = function(method) {
+    return function() {
+        let result = method.apply(this, arguments);
+
+        if (result instanceof Node || result instanceof NodeList || result instanceof HTMLCollection) {
+            return Elements.$(result);
+        }
+
+        return result;
+    };
+};
+
+/**
+ * The original properties of the built-in prototypes we extended, by prototype, so they can be restored
+ *
+ * @type {{Element: Object, NodeList: Object, Document: Object, Window: Object}}
+ */
+Elements.overridden = {Element: {}, NodeList: {}, Document: {}, Window: {}};
+
+/**
+ * Indicating if the ElementsJS methods are installed on the built-in prototypes
+ *
+ * @type {boolean}
+ */
+Elements.installed = false;
+
+/**
+ * Second names of the Element and NodeList methods that element subclasses hide with a built-in property of the same
+ * name - img.width, canvas.height, a.text, option.index, object.data. the aliases work on every element -
+ * Img().contentWidth(120), $option.siblingIndex()
+ *
+ * @type {Object}
+ */
+Elements.aliases = {
+    width: 'contentWidth',
+    height: 'contentHeight',
+    text: 'textValue',
+    data: 'dataValue',
+    index: 'siblingIndex'
+};
+
+Object.keys(Elements.aliases).forEach((k) => {
+    Elements.methods.Element[Elements.aliases[k]] = Elements.methods.Element[k];
+    Elements.methods.NodeList[Elements.aliases[k]] = Elements.methods.NodeList[k];
+});
+
+/**
+ * The Element methods hidden by a built-in accessor, by method name, with the prototypes defining it - width and height
+ * are properties of img, canvas, video (HTMLImageElement, ...) elements, call them by their Elements.aliases name or
+ * through $() on those
+ *
+ * @type {Object}
+ */
+Elements.shadowed = {};
+
+/**
+ * The built-in Element subclasses checked for accessors shadowing the Element methods, see Elements.accessors
+ *
+ * @type {Array}
+ */
+Elements.subclasses = ['HTMLAnchorElement', 'HTMLAudioElement', 'HTMLButtonElement', 'HTMLCanvasElement',
+    'HTMLDetailsElement', 'HTMLDialogElement', 'HTMLEmbedElement', 'HTMLFieldSetElement', 'HTMLFormElement',
+    'HTMLIFrameElement', 'HTMLImageElement', 'HTMLInputElement', 'HTMLLabelElement', 'HTMLLinkElement',
+    'HTMLMediaElement', 'HTMLObjectElement', 'HTMLOptionElement', 'HTMLOutputElement', 'HTMLScriptElement',
+    'HTMLSelectElement', 'HTMLSlotElement', 'HTMLSourceElement', 'HTMLStyleElement', 'HTMLTableElement',
+    'HTMLTemplateElement', 'HTMLTextAreaElement', 'HTMLVideoElement', 'SVGForeignObjectElement', 'SVGGraphicsElement',
+    'SVGImageElement', 'SVGRectElement', 'SVGSVGElement', 'SVGUseElement'];
+
+/**
+ * Find the built-in Element subclasses defining an accessor with the name, see Elements.shadowed
+ *
+ * @param k {String} - the property name
+ * @return {Array} - the names of the subclasses - ['HTMLImageElement', 'HTMLCanvasElement']
+ */
+Elements.accessors = function(k) {
+    return Elements.subclasses.filter((name) => {
+        if (typeof window[name] !== 'function') { return false; }
+
+        let descriptor = Object.getOwnPropertyDescriptor(window[name].prototype, k);
+        return !!(descriptor && (descriptor.get || descriptor.set));
+    });
+};
+
+/**
+ * Copy the ElementsJS methods to the ElementsCollection prototype and, when installed, to the built-in prototypes.
+ * called by every source file once its methods are defined - an Element method that an element subclass defines as
+ * an accessor is still installed, and listed in Elements.shadowed
+ */
+Elements.sync = function() {
+    Object.keys(Elements.methods.NodeList).forEach((k) => {
+        ElementsCollection.prototype[k] = Elements.collect(Elements.methods.NodeList[k]);
+    });
+
+    if (!Elements.installed) { return; }
+
+    let prototypes = {Element: Element.prototype, NodeList: NodeList.prototype, Document: Document.prototype, Window: Window.prototype};
+
+    Object.keys(prototypes).forEach((type) => {
+        Object.keys(Elements.methods[type]).forEach((k) => {
+            let descriptor = Object.getOwnPropertyDescriptor(prototypes[type], k);
+
+            // never replace a built-in accessor (Element.scrollTop, etc...), use the method through $() instead
+            if (!(k in Elements.overridden[type]) && descriptor && (descriptor.get || descriptor.set)) {
+                if (type === 'Element') { Elements.shadowed[k] = ['Element']; }
+                return;
+            }
+
+            if (type === 'Element' && !(k in Elements.overridden[type])) {
+                let subclasses = Elements.accessors(k);
+                if (subclasses.length > 0) { Elements.shadowed[k] = subclasses; }
+            }
+
+            if (!(k in Elements.overridden[type])) { Elements.overridden[type][k] = descriptor; }
+
+            Object.defineProperty(prototypes[type], k, {value: Elements.methods[type][k], writable: true, configurable: true});
+        });
+    });
+};
+
+/**
+ * Extend the built-in prototypes (Element, NodeList, Document and Window) with the ElementsJS methods, done when
+ * elements.js loads unless ElementsConfig.prototypes is false
+ */
+Elements.install = function() {
+    Elements.installed = true;
+    Elements.sync();
+};
+
+/**
+ * The globals defined by ElementsJS, by name, with the value each one replaced (undefined when the name was free)
+ *
+ * @type {Object}
+ */
+Elements.globals = {};
+
+/**
+ * Define globals on window - a name already taken is left alone unless it's listed in replace, see Elements.noConflict
+ *
+ * @param values {Object} - the globals by name - {$: Elements.$}
+ * @param replace {Array} (optional) - the names to define even when they're taken - ['Option']
+ */
+Elements.defineGlobals = function(values, replace = []) {
+    Object.keys(values).forEach((name) => {
+        if (typeof window[name] !== 'undefined' && replace.indexOf(name) === -1) { return; }
+
+        if (!(name in Elements.globals)) { Elements.globals[name] = window[name]; }
+
+        window[name] = values[name];
+    });
+};
+
+/**
+ * Restore the built-in prototypes and the globals ($, the tag factories) to what they were before ElementsJS
+ * extended them, ElementsJS can still be used through the ElementsCollection wrapper
+ *
+ * @return {Object} - the ElementsJS exports - {Elements, ElementsCollection, $, El, Query, Ajax, ...}
+ */
+Elements.noConflict = function() {
+    Object.keys(Elements.overridden).forEach((type) => {
+        Object.keys(Elements.overridden[type]).forEach((k) => { Elements.restore(type, k); });
+    });
+
+    Elements.installed = false;
+
+    Object.keys(Elements.globals).forEach((name) => {
+        if (window[name] === Elements.exports[name]) {
+            if (typeof Elements.globals[name] === 'undefined') {
+                delete window[name];
+            } else {
+                window[name] = Elements.globals[name];
+            }
+        }
+
+        delete Elements.globals[name];
+    });
+
+    return Elements.exports;
+};
+
+/**
+ * Namespace for plugins - methods registered once for Element, NodeList and ElementsCollection
+ *
+ * @namespace Elements.fn
+ */
+Elements.fn = {
+    /**
+     * The registered plugin methods, by name
+     *
+     * @type {Object}
+     */
+    plugins: {},
+
+    /**
+     * Register plugin methods - each implementation is written for a single element (this) and gets Element,
+     * NodeList and ElementsCollection versions. a call applies to all the elements and returns the element (or the
+     * NodeList) when the implementation returns nothing. a method given as {method, getter} can read - getter is true,
+     * or a function of the call's arguments returning true for reads, like text() or attr('id') - a NodeList read
+     * returns the first element's value (the NodeList when it's undefined). names used by the DOM (Element,
+     * HTMLElement, SVGElement, NodeList) or by ElementsJS throw an error, unless options.override is true
+     *
+     * Elements.fn.extend({highlight: function(color) { this.style.background = color || 'yellow' }});
+     * Div().highlight(); $('li').highlight('red');
+     * Elements.fn.extend({label: {method: function(v) {...}, getter: (args) => args.length === 0}});
+     *
+     * @param methods {Object} - {name: function(...args)} or {name: {method, getter}}
+     * @param options {Object} (optional) - override - allow replacing DOM and ElementsJS methods
+     * @return {Object} - Elements.fn
+     */
+    extend: function(methods, options) {
+        options = options || {};
+
+        Object.keys(methods).forEach((name) => {
+            let conflict = Elements.fn.conflict(name);
+
+            if (conflict && !options.override) {
+                throw new Error('Elements.fn.extend: ' + name + ' is already defined by ' + conflict + ', pass {override: true} to replace it');
+            }
+        });
+
+        Object.keys(methods).forEach((name) => {
+            let plugin = (typeof methods[name] === 'function') ? {method: methods[name]} : Object.assign({}, methods[name]);
+            let method = plugin.method;
+            let getter = (typeof plugin.getter === 'function') ? plugin.getter : () => plugin.getter === true;
+
+            Elements.fn.plugins[name] = {
+                method: method,
+                replaced: {Element: Elements.methods.Element[name], NodeList: Elements.methods.NodeList[name]}
+            };
+
+            Elements.methods.Element[name] = function() {
+                let result = method.apply(this, arguments);
+                return (typeof result === 'undefined') ? this : result;
+            };
+
+            Elements.methods.NodeList[name] = function() {
+                let args = Array.from(arguments);
+
+                if (getter(args) && this.length > 0) {
+                    let result = method.apply(this[0], args);
+                    return (typeof result === 'undefined') ? this : result;
+                }
+
+                this.forEach((n) => { Elements.methods.Element[name].apply(n, args) });
+                return this;
+            };
+        });
+
+        Elements.sync();
+        return Elements.fn;
+    },
+
+    /**
+     * Unregister a plugin method, the method it replaced (if any) is restored
+     *
+     * @param name {String} - the method name
+     * @return {boolean} - indicating if the method was registered
+     */
+    unregister: function(name) {
+        let plugin = Elements.fn.plugins[name];
+
+        if (typeof plugin === 'undefined') { return false; }
+
+        delete Elements.fn.plugins[name];
+
+        ['Element', 'NodeList'].forEach((type) => {
+            if (typeof plugin.replaced[type] !== 'undefined') {
+                Elements.methods[type][name] = plugin.replaced[type];
+            } else {
+                delete Elements.methods[type][name];
+                Elements.restore(type, name);
+            }
+        });
+
+        if (typeof plugin.replaced.NodeList === 'undefined') { delete ElementsCollection.prototype[name]; }
+
+        Elements.sync();
+        return true;
+    },
+
+    /**
+     * Find what a method name conflicts with
+     *
+     * @param name {String} - the method name
+     * @return {String|undefined} - the conflicting API (ElementsJS, Element, HTMLElement, SVGElement, NodeList or an
+     *                              element subclass - HTMLImageElement), or undefined when the name is free
+     */
+    conflict: function(name) {
+        if (name in Elements.methods.Element || name in Elements.methods.NodeList) { return 'ElementsJS'; }
+
+        let natives = {Element: Element, HTMLElement: HTMLElement, SVGElement: SVGElement, NodeList: NodeList};
+
+        return Object.keys(natives).find((k) => name in natives[k].prototype) || Elements.accessors(name)[0];
+    }
+};
+
+/**
+ * Restore a built-in prototype property we extended to what it was before ElementsJS extended it
+ *
+ * @param type {String} - the prototype - Element, NodeList, Document or Window
+ * @param k {String} - the property name
+ */
+Elements.restore = function(type, k) {
+    if (!(k in Elements.overridden[type])) { return; }
+
+    let prototype = {Element: Element.prototype, NodeList: NodeList.prototype, Document: Document.prototype, Window: Window.prototype}[type];
+    let descriptor = Elements.overridden[type][k];
+
+    if (typeof descriptor !== 'undefined') {
+        Object.defineProperty(prototype, k, descriptor);
+    } else {
+        delete prototype[k];
+    }
+
+    delete Elements.overridden[type][k];
+};
+
+/**
+ * The ElementsJS public API, returned by Elements.noConflict, every source file adds its exports
+ *
+ * @type {Object}
+ */
+Elements.exports = {
+    Elements: Elements,
+    ElementsCollection: ElementsCollection,
+    $: Elements.$,
+    El: El,
+    Query: Query,
+    Body: Body,
+    Div: Div,
+    TextArea: TextArea,
+    Input: Input,
+    Span: Span,
+    Img: Img,
+    h: h
+};
+
+// extend the prototypes and define the $ global (when it's free), unless ElementsConfig - a global set before
+// elements.js loads - opts out with {prototypes: false} and {globals: false}
+if (typeof ElementsConfig === 'undefined' || ElementsConfig.prototypes !== false) {
+    Elements.install();
+} else {
+    Elements.sync();
+}
+
+if (typeof ElementsConfig === 'undefined' || ElementsConfig.globals !== false) {
+    Elements.defineGlobals({$: Elements.$});
+}
\ No newline at end of file
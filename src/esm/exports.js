@@ -0,0 +1,43 @@
+// ES module build exports, see the README for building the ES module
+
+// the tag factories are module scoped here, tags.js defines them as globals only with ElementsConfig.tag_globals
+const {
+    A, Abbr, Address, Area, Article, Aside, Audio, B, Base, Bdi, Bdo, BlockQuote, Br, Button, Canvas, Caption, Cite,
+    Code, Col, ColGroup, Data, DataList, Dd, Del, Details, Dfn, Dialog, Dl, Dt, Em, Embed, FieldSet, FigCaption, Figure,
+    Footer, Form, H1, H2, H3, H4, H5, H6, Header, HGroup, Hr, I, IFrame, Ins, Kbd, Label, Legend, Li, Link, Main, Mark,
+    Menu, Meta, Meter, Nav, NoScript, Ol, OptGroup, Option, Output, P, Picture, Pre, Progress, Q, Rp, Rt, Ruby, S, Samp,
+    Script, Search, Section, Select, Slot, Small, Source, Strong, Style, Sub, Summary, Sup, Table, TBody, Td, Template,
+    TFoot, Th, THead, Time, Title, Tr, Track, U, Ul, Var, Video, Wbr, Svg
+} = Elements.exports;
+
+export {
+    Elements,
+    ElementsCollection,
+    El,
+    Query,
+    Body,
+    Div,
+    TextArea,
+    Input,
+    Span,
+    Img,
+    h,
+    UnsafeHTML,
+    unsafe,
+    html,
+    ElementsStore,
+    ElementsAnimation,
+    ToParamString,
+    ParseParamString,
+    ElementsRouter,
+    AjaxError,
+    Ajax,
+    A, Abbr, Address, Area, Article, Aside, Audio, B, Base, Bdi, Bdo, BlockQuote, Br, Button, Canvas, Caption, Cite,
+    Code, Col, ColGroup, Data, DataList, Dd, Del, Details, Dfn, Dialog, Dl, Dt, Em, Embed, FieldSet, FigCaption, Figure,
+    Footer, Form, H1, H2, H3, H4, H5, H6, Header, HGroup, Hr, I, IFrame, Ins, Kbd, Label, Legend, Li, Link, Main, Mark,
+    Menu, Meta, Meter, Nav, NoScript, Ol, OptGroup, Option, Output, P, Picture, Pre, Progress, Q, Rp, Rt, Ruby, S, Samp,
+    Script, Search, Section, Select, Slot, Small, Source, Strong, Style, Sub, Summary, Sup, Table, TBody, Td, Template,
+    TFoot, Th, THead, Time, Title, Tr, Track, U, Ul, Var, Video, Wbr, Svg
+};
+
+export const $ = Elements.$;
\ No newline at end of file
@@ -0,0 +1,3 @@
+// ES module build prefix - the ES module build leaves the built-in prototypes and the globals untouched,
+// call Elements.install() to extend the prototypes
+const ElementsConfig = {prototypes: false, globals: false};
\ No newline at end of file
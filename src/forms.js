@@ -0,0 +1,186 @@
+/**
+ * Get the form fields of an element - the form's elements for a form, the input, select and textarea elements
+ * inside it for any other element (fieldset, div, etc...)
+ *
+ * @param $el {Element} - the form or the fields container
+ * @return {Array} - the fields
+ */
+Elements.formFields = function ($el) {
+    let fields = ($el instanceof HTMLFormElement) ? Array.from($el.elements) : Array.from($el.querySelectorAll('input, select, textarea'));
+
+    return fields.filter((field) => ['INPUT', 'SELECT', 'TEXTAREA'].indexOf(field.tagName) > -1);
+};
+
+/**
+ * Get the successful controls of the element as a list of [name, value, field] triplets, the way the browser would
+ * submit them - fields without a name, disabled fields, buttons and unchecked checkboxes and radios are skipped,
+ * a multi-select adds a triplet for every selected option and a file input adds a triplet for every selected file
+ *
+ * @param $el {Element} - the form or the fields container
+ * @return {Array} - [name, value, field] triplets, values are strings or Files
+ */
+Elements.formPairs = function ($el) {
+    let pairs = [];
+
+    Elements.formFields($el).forEach((field) => {
+        let type = (field.type || '').toLowerCase();
+
+        if (!field.name || field.disabled || field.matches(':disabled')) { return; }
+        if (['submit', 'button', 'reset', 'image'].indexOf(type) > -1) { return; }
+        if ((type === 'checkbox' || type === 'radio') && !field.checked) { return; }
+
+        if (type === 'file') {
+            Array.from(field.files || []).forEach((file) => { pairs.push([field.name, file, field]); });
+        } else if (field.tagName === 'SELECT') {
+            Array.from(field.options).forEach((option) => {
+                if (option.selected && !option.disabled) { pairs.push([field.name, option.value, field]); }
+            });
+        } else {
+            pairs.push([field.name, field.value, field]);
+        }
+    });
+
+    return pairs;
+};
+
+/**
+ * Serialize the form fields to a URI-encoded params string, file inputs are skipped
+ *
+ * @return {string} - URI-encoded params string, can be passed to Ajax as data
+ */
+Elements.methods.Element.serialize = function() {
+    return Elements.formPairs(this)
+        .filter((pair) => typeof pair[1] === 'string')
+        .map((pair) => encodeURIComponent(pair[0]) + '=' + encodeURIComponent(pair[1]))
+        .join('&');
+};
+
+/**
+ * Serialize the form fields to an object, bracket notation names are parsed to nested objects and arrays -
+ * user[address][city] => {user: {address: {city: ...}}}, tags[] => {tags: [...]} and fields sharing a name
+ * (checkbox groups, multi-selects) are collected to an array. file inputs are serialized as File objects
+ *
+ * @return {Object} - the form data, compatible with ToParamString
+ */
+Elements.methods.Element.serializeObject = function() {
+    let result = {};
+
+    Elements.formPairs(this).forEach((pair) => {
+        // a multi-select's value is always an array, even when one option is selected
+        if (pair[2].tagName === 'SELECT' && pair[2].multiple && !/\[\]$/.test(pair[0])) {
+            ParseParamString.set(result, pair[0] + '[]', pair[1]);
+        } else {
+            ParseParamString.set(result, pair[0], pair[1]);
+        }
+    });
+
+    return result;
+};
+
+/**
+ * Populate the form fields from an object, the inverse of serializeObject - fields are matched by their bracket
+ * notation names, checkboxes, radios and multi-select options are checked/selected when their value is (or is in)
+ * the object's value. fields missing from the object and file inputs are left untouched
+ *
+ * @param obj {Object} - the form data
+ * @return {Element} - return this (the element who called the function)
+ */
+Elements.methods.Element.fill = function(obj) {
+    Elements.formFields(this).forEach((field) => {
+        if (!field.name || (field.type || '').toLowerCase() === 'file') { return; }
+
+        let v = obj;
+        ParseParamString.path(field.name).forEach((seg) => {
+            if (seg !== '' && typeof v !== 'undefined' && v !== null) { v = v[seg]; }
+        });
+
+        if (typeof v === 'undefined') { return; }
+
+        let values = (Array.isArray(v) ? v : [v]).map((sub_v) => (sub_v === null) ? '' : String(sub_v));
+        let type = (field.type || '').toLowerCase();
+
+        if (type === 'checkbox') {
+            field.checked = (v === true) || values.indexOf(field.value) > -1;
+        } else if (type === 'radio') {
+            field.checked = values.indexOf(field.value) > -1;
+        } else if (field.tagName === 'SELECT' && field.multiple) {
+            Array.from(field.options).forEach((option) => { option.selected = values.indexOf(option.value) > -1; });
+        } else {
+            field.value = values.length > 0 ? values[0] : '';
+        }
+    });
+
+    return this;
+};
+
+/**
+ * Submit the form with Ajax, the request url, type and encoding are taken from the form's action, method and enctype
+ * attributes. multipart/form-data forms are sent as FormData, urlencoded forms as the serialized fields and
+ * application/json requests (content_type setting) as the serialized object
+ *
+ * @param settings {Object} (optional) - Ajax settings, override the ones taken from the form
+ * @return {Promise} - the Ajax request
+ */
+Elements.methods.Element.submitAjax = function(settings) {
+    settings = settings || {};
+
+    let defaults = {
+        url: this.getAttribute('action') || window.location.href,
+        type: (this.getAttribute('method') || 'GET').toUpperCase()
+    };
+
+    if (settings.content_type === 'application/json') {
+        defaults.data = Elements.methods.Element.serializeObject.call(this);
+    } else if ((this.getAttribute('enctype') || '').toLowerCase() === 'multipart/form-data' && defaults.type !== 'GET') {
+        defaults.data = new FormData();
+        Elements.formPairs(this).forEach((pair) => { defaults.data.append(pair[0], pair[1]); });
+        defaults.content_type = false;
+    } else {
+        defaults.data = Elements.methods.Element.serialize.call(this);
+    }
+
+    return Ajax(Object.assign(defaults, settings));
+};
+
+/**
+ * Serialize the fields of the first element in the NodeList
+ *
+ * @return {string|undefined} - URI-encoded params string
+ */
+Elements.methods.NodeList.serialize = function() {
+    if (this.length > 0) { return Elements.methods.Element.serialize.call(this[0]); }
+};
+
+/**
+ * Serialize the fields of the first element in the NodeList to an object
+ *
+ * @return {Object|undefined} - the form data
+ */
+Elements.methods.NodeList.serializeObject = function() {
+    if (this.length > 0) { return Elements.methods.Element.serializeObject.call(this[0]); }
+};
+
+/**
+ * Populate the fields of all elements in the NodeList from an object
+ *
+ * @param obj {Object} - the form data
+ * @return {NodeList} - this
+ */
+Elements.methods.NodeList.fill = function(obj) {
+    this.forEach((n) => { Elements.methods.Element.fill.call(n, obj) });
+    return this;
+};
+
+/**
+ * Submit all the forms in the NodeList with Ajax
+ *
+ * @param settings {Object} (optional) - Ajax settings, override the ones taken from the forms
+ * @return {Promise} - resolved with the responses of all the forms
+ */
+Elements.methods.NodeList.submitAjax = function(settings) {
+    let requests = [];
+    this.forEach((n) => { requests.push(Elements.methods.Element.submitAjax.call(n, settings)) });
+    return Promise.all(requests);
+};
+
+Elements.sync();
\ No newline at end of file
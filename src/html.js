@@ -0,0 +1,185 @@
+/**
+ * Marks a string as trusted HTML, so the html template interpolates it without escaping - create it with unsafe()
+ */
+class UnsafeHTML {
+    /**
+     * @param html {String} - the trusted HTML
+     */
+    constructor(html) {
+        this.html = (html === null || typeof html === 'undefined') ? '' : String(html);
+    }
+
+    toString() {
+        return this.html;
+    }
+}
+
+/**
+ * Mark a string as trusted HTML - html`<div>${unsafe(markup)}</div>` interpolates the markup as is,
+ * only use it for HTML that can not contain user data, or pass user data through html.sanitize instead
+ *
+ * @param html {String} - the trusted HTML
+ * @return {UnsafeHTML} - the marked HTML
+ */
+const unsafe = function(html) {
+    return (html instanceof UnsafeHTML) ? html : new UnsafeHTML(html);
+};
+
+/**
+ * Escape a string for use in HTML text and in quoted attribute values
+ *
+ * @param str {*} - the value to escape
+ * @return {String} - the escaped value
+ */
+Elements.escape = function(str) {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+};
+
+/**
+ * Tagged template building DOM from HTML, interpolated values are escaped - html`<b title="${title}">${name}</b>`
+ * Elements, DocumentFragments, NodeLists, ElementsCollections and arrays of them are interpolated as the nodes
+ * themselves (in text positions only), null, undefined and Booleans are skipped and unsafe() values are added as is.
+ * attribute values must be quoted
+ *
+ * @param strings {Array} - the template strings
+ * @param values {...*} - the interpolated values
+ * @return {Element|DocumentFragment} - the element when the template has a single root element, otherwise a fragment
+ */
+const html = function(strings, ...values) {
+    let nodes = [];
+    let markup = strings[0];
+
+    let interpolate = (v) => {
+        if (v === null || typeof v === 'undefined' || typeof v === 'boolean') { return ''; }
+        if (v instanceof UnsafeHTML) { return v.html; }
+
+        if (v instanceof Node) {
+            nodes.push(v);
+            return '<!--ElementsJS:' + (nodes.length - 1) + '-->';
+        }
+
+        if (Array.isArray(v) || v instanceof NodeList || v instanceof HTMLCollection) {
+            return Array.from(v).map(interpolate).join('');
+        }
+
+        return Elements.escape(v);
+    };
+
+    values.forEach((v, i) => { markup += interpolate(v) + strings[i + 1]; });
+
+    let template = document.createElement('template');
+    template.innerHTML = markup;
+
+    // import before filling the slots, importing clones the nodes
+    let fragment = document.importNode(template.content, true);
+    let walker = document.createTreeWalker(fragment, NodeFilter.SHOW_COMMENT);
+    let slots = [];
+
+    while (walker.nextNode()) {
+        let match = /^ElementsJS:(\d+)$/.exec(walker.currentNode.nodeValue);
+        if (match) { slots.push([walker.currentNode, nodes[match[1]]]); }
+    }
+
+    slots.forEach((slot) => { slot[0].parentNode.replaceChild(slot[1], slot[0]); });
+
+    let children = Array.from(fragment.childNodes).filter((n) => !(n.nodeType === Node.TEXT_NODE && n.nodeValue.trim() === ''));
+    if (children.length === 1 && children[0] instanceof Element) { return children[0]; }
+
+    return fragment;
+};
+
+/**
+ * Sanitize user HTML (rich-text content) for the html template - html`<div>${html.sanitize(comment.body)}</div>`
+ *
+ * @param str {String} - the HTML to sanitize
+ * @param options {Object} (optional) - the allowlist, see Elements.sanitize
+ * @return {UnsafeHTML} - the sanitized HTML, marked as trusted
+ */
+html.sanitize = function(str, options) {
+    return unsafe(Elements.sanitize(str, options));
+};
+
+/**
+ * Sanitize HTML with an allowlist of tags and attributes - elements outside the allowlist are replaced with their
+ * (sanitized) content, elements whose content is never safe (script, style, etc...) are removed with their content,
+ * attributes outside the allowlist, event handler attributes and urls with a scheme outside the allowlist are
+ * removed. replace this function to use a different sanitizer (DOMPurify.sanitize, etc...)
+ *
+ * @param str {String} - the HTML to sanitize
+ * @param options {Object} (optional) - overrides Elements.sanitize.defaults - tags, attributes, remove, schemes
+ * @return {String} - the sanitized HTML
+ */
+Elements.sanitize = function(str, options) {
+    options = Object.assign({}, Elements.sanitize.defaults, options);
+
+    let tags = options.tags.map((t) => t.toUpperCase());
+    let remove = options.remove.map((t) => t.toUpperCase());
+    let template = document.createElement('template');
+    template.innerHTML = (str === null || typeof str === 'undefined') ? '' : String(str);
+
+    let clean = (parent) => {
+        Array.from(parent.childNodes).forEach((n) => {
+            if (n.nodeType === Node.COMMENT_NODE || n.nodeType === Node.PROCESSING_INSTRUCTION_NODE) {
+                parent.removeChild(n);
+            } else if (n.nodeType === Node.ELEMENT_NODE) {
+                if (remove.indexOf(n.tagName.toUpperCase()) > -1) {
+                    parent.removeChild(n);
+                    return;
+                }
+
+                clean(n);
+
+                if (tags.indexOf(n.tagName.toUpperCase()) === -1) {
+                    while (n.firstChild) { parent.insertBefore(n.firstChild, n); }
+                    parent.removeChild(n);
+                    return;
+                }
+
+                Array.from(n.attributes).forEach((attr) => {
+                    let name = attr.name.toLowerCase();
+                    let allowed = options.attributes.indexOf(name) > -1 && !/^on/.test(name);
+
+                    if (allowed && options.url_attributes.indexOf(name) > -1) {
+                        let scheme = /^\s*([a-z][a-z0-9+.\-]*):/i.exec(attr.value.replace(/[\u0000-\u001F\u007F\s]/g, ''));
+                        allowed = !scheme || options.schemes.indexOf(scheme[1].toLowerCase()) > -1;
+                    }
+
+                    if (!allowed) { n.removeAttribute(attr.name); }
+                });
+            }
+        });
+    };
+
+    clean(template.content);
+    return template.innerHTML;
+};
+
+/**
+ * The default sanitizer allowlist
+ * tags - the allowed tags, attributes - the allowed attributes (on any allowed tag),
+ * url_attributes - attributes holding urls, schemes - the allowed url schemes (relative urls are always allowed),
+ * remove - tags removed with their content
+ *
+ * @type {{tags: Array, attributes: Array, url_attributes: Array, schemes: Array, remove: Array}}
+ */
+Elements.sanitize.defaults = {
+    tags: ['a', 'b', 'blockquote', 'br', 'code', 'em', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'li', 'ol',
+           'p', 'pre', 's', 'small', 'span', 'strong', 'sub', 'sup', 'table', 'tbody', 'td', 'th', 'thead', 'tr', 'u',
+           'ul'],
+    attributes: ['href', 'src', 'alt', 'title', 'class', 'width', 'height', 'colspan', 'rowspan'],
+    url_attributes: ['href', 'src'],
+    schemes: ['http', 'https', 'mailto', 'tel'],
+    remove: ['script', 'style', 'template', 'iframe', 'object', 'embed', 'noscript', 'svg', 'math', 'form', 'textarea',
+             'select', 'title']
+};
+
+Object.assign(Elements.exports, {
+    UnsafeHTML: UnsafeHTML,
+    unsafe: unsafe,
+    html: html
+});
@@ -0,0 +1,474 @@
+/**
+ * A client-side router - create one with Elements.router. routes are matched in order, paths can have params
+ * ('/users/:id', optional '/users/:id?') and end with a wildcard ('/files/*', params.wildcard), the '*' route is the
+ * 404 route, used when no other route matches. every navigation dispatches route:change from the window, a failed
+ * one route:error
+ */
+class ElementsRouter {
+    /**
+     * @param options {Object} (optional) - see Elements.router
+     */
+    constructor(options) {
+        options = Object.assign({}, ElementsRouter.defaults, options);
+
+        this.mode = (options.mode === 'hash') ? 'hash' : 'history';
+        this.base = String(options.base || '').replace(/\/+$/, '');
+        this.outlet = options.outlet;
+        this.guard = options.guard;
+        this.error = options.error;
+        this.links = options.links;
+        this.link_selector = options.link_selector;
+        this.query_options = options.query_options;
+        this.routes = ElementsRouter.routes(options.routes);
+        this.current = null;
+        this.started = false;
+        this.navigation = 0;
+
+        this.onLocation = () => {
+            let url = this.location();
+
+            // an in-page anchor (#section) in history mode keeps the current route
+            if (this.mode === 'history' && this.current && url.split('#')[0] === this.current.url.split('#')[0]) { return; }
+
+            this.run(url, {pop: true, state: history.state});
+        };
+        this.onLink = (e) => { this.intercept(e, e.delegateTarget); };
+    }
+
+    /**
+     * Normalize the routes definition
+     *
+     * @param routes {Object|Array} - a {path: handler|route} map, or an array of routes with a path
+     * @return {Array} - [{path, handler, outlet, guard, redirect, name, regex, keys}]
+     */
+    static routes(routes) {
+        let list = Array.isArray(routes) ? routes : Object.keys(routes || {}).map((path) => {
+            let route = routes[path];
+
+            if (typeof route === 'function') { return {path: path, handler: route}; }
+            if (typeof route === 'string') { return {path: path, redirect: route}; }
+
+            return Object.assign({path: path}, route);
+        });
+
+        return list.map((route) => Object.assign({}, route, ElementsRouter.compile(route.path)));
+    }
+
+    /**
+     * Compile a route path to a regex
+     *
+     * @param path {String} - the route path - '/users/:id', '/users/:id?', '/files/*'
+     * @return {Object} - {regex, keys} - the param names in the order of the regex groups
+     */
+    static compile(path) {
+        let keys = [];
+
+        let source = String(path).split('/').filter((segment) => segment.length > 0).map((segment) => {
+            if (segment === '*') {
+                keys.push('wildcard');
+                return '(?:/(.*))?';
+            }
+
+            let param = /^:(\w+)(\?)?$/.exec(segment);
+
+            if (param) {
+                keys.push(param[1]);
+                return param[2] ? '(?:/([^/]+))?' : '/([^/]+)';
+            }
+
+            return '/' + segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }).join('');
+
+        return {regex: new RegExp('^' + source + '/?$'), keys: keys};
+    }
+
+    /**
+     * Decode a path segment, a malformed one (a lone %) is kept as it is
+     *
+     * @param v {String} - the segment
+     * @return {String} - the decoded segment
+     */
+    static decode(v) {
+        try { return decodeURIComponent(v); } catch (e) { return v; }
+    }
+
+    /**
+     * Listen to the location changes and to the link clicks, and resolve the current location
+     *
+     * @return {ElementsRouter} - this
+     */
+    start() {
+        if (this.started) { return this; }
+
+        this.started = true;
+        Elements.on.call(window, (this.mode === 'hash') ? 'hashchange.router' : 'popstate.router', this.onLocation);
+
+        if (this.links) { Elements.on.call(document, 'click.router', this.link_selector, this.onLink); }
+
+        this.run(this.location(), {replace: true, state: history.state});
+        return this;
+    }
+
+    /**
+     * Stop listening to the location changes and to the link clicks
+     *
+     * @return {ElementsRouter} - this
+     */
+    stop() {
+        Elements.unbind.call(window, (this.mode === 'hash') ? 'hashchange.router' : 'popstate.router', this.onLocation);
+        Elements.unbind.call(document, 'click.router', this.link_selector, this.onLink);
+
+        this.started = false;
+        return this;
+    }
+
+    /**
+     * Navigate to a path
+     *
+     * @param path {String} - the path, relative to the base, can have a query string - '/users/5?tab=posts'
+     * @param options {Object} (optional) - replace - replace the current history entry,
+     *                                      query - query params added with ToParamString,
+     *                                      state - the history state, passed in the route as route.state
+     * @return {Promise} - resolves with the route, or null when the navigation was cancelled or superseded, rejects
+     *                     when a handler or a guard fails
+     */
+    navigate(path, options) {
+        options = Object.assign({}, options);
+
+        let url = String(path);
+
+        if (options.query && Object.keys(options.query).length > 0) {
+            url += ((url.indexOf('?') > -1) ? '&' : '?') + ToParamString(options.query);
+        }
+
+        return this.resolve(url, options);
+    }
+
+    /**
+     * Resolve a url for the router's own navigations (start, back and forward, link clicks) - nothing waits for them,
+     * so their failures are reported with fail instead of rejecting
+     *
+     * @param url {String} - the path with its query string and hash
+     * @param options {Object} (optional) - see resolve
+     * @return {Promise} - resolves with the route, or null when the navigation was cancelled, superseded or failed
+     */
+    run(url, options) {
+        let navigation;
+
+        try {
+            navigation = this.resolve(url, options);
+        } catch (error) {
+            navigation = Promise.reject(error);
+        }
+
+        return navigation.catch((error) => this.fail(error, url));
+    }
+
+    /**
+     * Report a failed navigation - a handler or a guard that threw or rejected, a redirect loop - with a route:error
+     * event from the window and the error hook
+     *
+     * @param error {Error} - the error
+     * @param url {String} - the url of the navigation
+     * @return {null}
+     */
+    fail(error, url) {
+        this.dispatch('route:error', {error: error, url: url, router: this});
+        if (typeof this.error === 'function') { this.error.call(this, error, url); }
+
+        return null;
+    }
+
+    /**
+     * Go back in the history
+     */
+    back() {
+        history.back();
+    }
+
+    /**
+     * Get the href of a path - the base is added in history mode, a # in hash mode
+     *
+     * @param path {String} - the path, relative to the base, can have a query string
+     * @param query {Object} (optional) - query params added with ToParamString
+     * @return {String} - the href
+     */
+    href(path, query) {
+        let url = String(path);
+
+        if (query && Object.keys(query).length > 0) {
+            url += ((url.indexOf('?') > -1) ? '&' : '?') + ToParamString(query);
+        }
+
+        return (this.mode === 'hash') ? '#' + url : this.base + url;
+    }
+
+    /**
+     * Get the current location, relative to the base
+     *
+     * @return {String} - the path with its query string and hash - '/users/5?tab=posts'
+     */
+    location() {
+        if (this.mode === 'hash') { return location.hash.slice(1) || '/'; }
+
+        let path = location.pathname;
+
+        if (this.base.length > 0 && path.indexOf(this.base) === 0) { path = path.slice(this.base.length); }
+
+        return (path || '/') + location.search + location.hash;
+    }
+
+    /**
+     * Find the route matching a path
+     *
+     * @param path {String} - the path, without a query string
+     * @return {Object|null} - {route, params}, the 404 ('*') route when no other route matches, or null
+     */
+    match(path) {
+        let not_found = null;
+
+        for (let route of this.routes) {
+            if (route.path === '*') {
+                not_found = not_found || {route: route, params: {}};
+                continue;
+            }
+
+            let match = route.regex.exec(path);
+
+            if (match) {
+                let params = {};
+
+                route.keys.forEach((key, i) => {
+                    if (typeof match[i + 1] !== 'undefined') { params[key] = ElementsRouter.decode(match[i + 1]); }
+                });
+
+                return {route: route, params: params};
+            }
+        }
+
+        return not_found;
+    }
+
+    /**
+     * Build the route of a url
+     *
+     * @param url {String} - the path with its query string and hash
+     * @param state {*} (optional) - the history state
+     * @return {Object} - {url, path, params, query, hash, name, state, not_found, definition}
+     */
+    context(url, state) {
+        let parts = /^([^?#]*)(?:\?([^#]*))?(?:#(.*))?$/.exec(url);
+        let path = '/' + parts[1].replace(/^\/+/, '');
+        let match = this.match(path);
+
+        return {
+            url: url,
+            path: path,
+            params: match ? match.params : {},
+            query: ParseParamString(parts[2] || '', this.query_options),
+            hash: parts[3] || '',
+            name: match ? match.route.name : undefined,
+            state: state,
+            not_found: !match || match.route.path === '*',
+            definition: match ? match.route : null
+        };
+    }
+
+    /**
+     * Resolve a url - run the redirects and the guards, update the history, render the route and dispatch route:change
+     *
+     * @param url {String} - the path with its query string and hash
+     * @param options {Object} (optional) - replace, state - see navigate, pop - the location already changed (back,
+     *                                      forward, hash change)
+     * @return {Promise} - resolves with the route, or null when the navigation was cancelled or superseded
+     */
+    resolve(url, options) {
+        options = Object.assign({redirects: 0}, options);
+
+        let id = ++this.navigation;
+        let to = this.context(url, options.state);
+        let from = this.current;
+        let definition = to.definition;
+
+        let redirect = (target) => {
+            if (options.redirects >= ElementsRouter.max_redirects) {
+                return Promise.reject(new Error('ElementsRouter: too many redirects, from ' + url + ' to ' + target));
+            }
+
+            return this.resolve(target, {replace: !from || options.replace || options.pop, redirects: options.redirects + 1});
+        };
+
+        if (definition && typeof definition.redirect !== 'undefined') {
+            return redirect((typeof definition.redirect === 'function') ? definition.redirect.call(this, to) : definition.redirect);
+        }
+
+        let guards = [this.guard, definition ? definition.guard : undefined].filter((guard) => typeof guard === 'function');
+
+        // a guard returning nothing lets the navigation through, the next guard runs only when the previous one did
+        let check = guards.reduce((chain, guard) => chain.then((result) => {
+            if (result !== true) { return result; }
+
+            return Promise.resolve(guard.call(this, to, from)).then((r) => (r === null || typeof r === 'undefined') ? true : r);
+        }), Promise.resolve(true));
+
+        return check.then((result) => {
+            if (id !== this.navigation) { return null; }
+
+            if (typeof result === 'string') { return redirect(result); }
+
+            if (result === false) {
+                // the location already changed on back, forward and hash changes, put the current route's url back
+                if (options.pop && from) { history.replaceState(from.state, '', this.href(from.url)); }
+                return null;
+            }
+
+            if (!options.pop) {
+                history[options.replace ? 'replaceState' : 'pushState'](to.state, '', this.href(to.url));
+            }
+
+            this.current = to;
+            return this.render(to, id).then(() => {
+                if (id !== this.navigation) { return null; }
+
+                this.dispatch('route:change', {route: to, from: from, router: this});
+                return to;
+            });
+        });
+    }
+
+    /**
+     * Call the route's handler with its outlet - an Element, a DocumentFragment, an UnsafeHTML or a string returned
+     * by the handler (or by its promise) replaces the outlet's content
+     *
+     * @param to {Object} - the route
+     * @param id {Number} - the navigation id, a superseded navigation doesn't render
+     * @return {Promise} - resolves when the route was rendered
+     */
+    render(to, id) {
+        let definition = to.definition;
+
+        if (!definition || typeof definition.handler !== 'function') { return Promise.resolve(); }
+
+        let outlet = definition.outlet || this.outlet;
+        if (typeof outlet === 'string') { outlet = Query.one(outlet); }
+
+        return Promise.resolve(definition.handler.call(this, outlet, to)).then((content) => {
+            if (id !== this.navigation || !outlet || content === null || typeof content === 'undefined') { return; }
+
+            Elements.methods.Element.html.call(outlet, content);
+        });
+    }
+
+    /**
+     * Handle a link click - same origin links under the base (history mode) or #/ links (hash mode) are navigated by
+     * the router, unless the click opens a new tab or window, the link has a target, download, rel="external" or
+     * data-router="false", or the event was already handled
+     *
+     * @param e {MouseEvent} - the click event
+     * @param $a {Element} - the link
+     */
+    intercept(e, $a) {
+        if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) { return; }
+
+        let target = $a.getAttribute('target');
+
+        if ((target && target !== '_self') || $a.hasAttribute('download') || $a.getAttribute('rel') === 'external' ||
+            $a.getAttribute('data-router') === 'false') { return; }
+
+        let href = $a.getAttribute('href');
+        let url = null;
+
+        if (this.mode === 'hash') {
+            if (href.indexOf('#/') === 0) { url = href.slice(1); }
+        } else if (href.indexOf('#') !== 0) {
+            let link = new URL(href, location.href);
+
+            if (link.origin === location.origin && (this.base.length === 0 || link.pathname === this.base ||
+                link.pathname.indexOf(this.base + '/') === 0)) {
+                url = (link.pathname.slice(this.base.length) || '/') + link.search + link.hash;
+            }
+        }
+
+        if (url === null) { return; }
+
+        e.preventDefault();
+        this.run(url);
+    }
+
+    /**
+     * Dispatch a router event from the window, with our dispatch function - it works whether or not the built-in
+     * prototypes were extended
+     *
+     * @param action {String} - the event name
+     * @param detail {Object} - the event details
+     */
+    dispatch(action, detail) {
+        if (typeof window.dispatch === 'function') {
+            window.dispatch(action, detail);
+        } else {
+            Elements.dispatch.call(window, action, detail);
+        }
+    }
+}
+
+/**
+ * The router defaults
+ * mode - 'history' or 'hash', base - the path the app is served from (history mode), outlet - the default outlet
+ * (an element or a selector), guard - runs before every route's own guard, error - function(error, url) called
+ * when a navigation the router started (start, back and forward, link clicks) fails, links - intercept the link
+ * clicks, link_selector - the intercepted links, query_options - ParseParamString options for the query
+ *
+ * @type {Object}
+ */
+ElementsRouter.defaults = {
+    mode: 'history',
+    base: '',
+    outlet: undefined,
+    guard: undefined,
+    error: undefined,
+    links: true,
+    link_selector: 'a[href]',
+    query_options: undefined
+};
+
+/**
+ * The redirects allowed in a single navigation, more is a redirect loop
+ *
+ * @type {Number}
+ */
+ElementsRouter.max_redirects = 10;
+
+/**
+ * Create a router and start it
+ *
+ * Elements.router({
+ *     mode: 'history',
+ *     outlet: '#view',
+ *     guard: function(to, from) { if (to.path !== '/login' && !session.user) { return '/login'; } },
+ *     routes: {
+ *         '/': function(outlet, route) { return Dashboard(); },
+ *         '/users/:id': {name: 'user', handler: (outlet, route) => Ajax({url: '/api/users/' + route.params.id}).then(UserView)},
+ *         '/home': '/',
+ *         '*': function(outlet, route) { return html`<h1>Not Found</h1><p>${route.path}</p>`; }
+ *     }
+ * });
+ *
+ * @param options {Object} (optional) - see ElementsRouter.defaults, and routes - a {path: route} map or an array of
+ *                                      routes with a path. a route is a handler function, a redirect path, or
+ *                                      {handler, outlet, guard, redirect, name}:
+ *     handler - function(outlet, route) rendering the route into its outlet, what it returns (or resolves to) -
+ *               an Element, a DocumentFragment, an UnsafeHTML or a string - replaces the outlet's content.
+ *               route is {url, path, params, query, hash, name, state, not_found, definition}
+ *     outlet - the route's outlet, an element or a selector (default: the router's outlet)
+ *     guard - function(to, from) returning (or resolving to) false to cancel the navigation or a path to redirect to
+ *     redirect - a path, or function(route) returning the path, to redirect to
+ *     name - the route's name, passed in the route
+ * @return {ElementsRouter} - the started router
+ */
+Elements.router = function(options) {
+    return new ElementsRouter(options).start();
+};
+
+Object.assign(Elements.exports, {
+    ElementsRouter: ElementsRouter
+});
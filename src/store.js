@@ -0,0 +1,455 @@
+/**
+ * A reactive state store - create one with Elements.store. paths are dot separated - 'user.name', 'items.0.price'.
+ * state updates are immutable (the objects along the path are copied) and batched, subscribers, bindings and the
+ * store:change events run once per batch, in a microtask (call flush to run them right away)
+ */
+class ElementsStore {
+    /**
+     * @param state {Object} (optional) - the initial state
+     * @param options {Object} (optional) - name - passed in the store:change event details,
+     *                                       target - the store:change events target (default: document)
+     */
+    constructor(state, options) {
+        options = options || {};
+
+        this.state = Object.assign({}, state);
+        this.name = options.name;
+        this.target = options.target;
+        this.computeds = {};
+        this.subscribers = [];
+        this.changes = new Map();
+        this.scheduled = false;
+    }
+
+    /**
+     * Split a path to its keys
+     *
+     * @param path {String|Array} - the path
+     * @return {Array} - the path keys
+     */
+    static path(path) {
+        if (Array.isArray(path)) { return path.map(String); }
+        return (path === null || typeof path === 'undefined' || path === '') ? [] : String(path).split('.');
+    }
+
+    /**
+     * Check if two paths overlap - one of them is the other or contains it
+     *
+     * @param a {String} - a path
+     * @param b {String} - a path
+     * @return {boolean} - indicating if the paths overlap
+     */
+    static overlaps(a, b) {
+        return a === b || a === '' || b === '' || a.startsWith(b + '.') || b.startsWith(a + '.');
+    }
+
+    /**
+     * Get a value from the state, or a computed value
+     *
+     * @param path {String} (optional) - the value's path, the whole state when omitted
+     * @return {*} - the value, undefined if the path doesn't exist
+     */
+    get(path) {
+        let keys = ElementsStore.path(path);
+
+        if (keys.length > 0 && keys[0] in this.computeds) {
+            let computed = this.computeds[keys[0]];
+            let v = computed.fn.apply(this, computed.deps.map((dep) => this.get(dep)));
+
+            return keys.slice(1).reduce((sub_v, k) => (sub_v === null || typeof sub_v === 'undefined') ? undefined : sub_v[k], v);
+        }
+
+        return keys.reduce((v, k) => (v === null || typeof v === 'undefined') ? undefined : v[k], this.state);
+    }
+
+    /**
+     * Set a value in the state - set('user.name', 'Ann'), or set several values - set({'user.name': 'Ann', page: 2})
+     *
+     * @param path {String|Object} - the value's path, or a {path: value} map
+     * @param value {*} - the value
+     * @return {ElementsStore} - this
+     */
+    set(path, value) {
+        if (path !== null && typeof path === 'object' && !Array.isArray(path)) {
+            Object.keys(path).forEach((k) => { this.set(k, path[k]); });
+            return this;
+        }
+
+        let keys = ElementsStore.path(path);
+
+        // never let a path reach the prototypes
+        if (keys.length === 0 || keys.some((k) => k === '__proto__' || k === 'constructor' || k === 'prototype')) { return this; }
+
+        let old = this.get(keys);
+        if (Object.is(old, value)) { return this; }
+
+        let copy = (obj, i) => {
+            let target = Array.isArray(obj) ? obj.slice() : Object.assign({}, obj);
+            target[keys[i]] = (i === keys.length - 1) ? value : copy((obj !== null && typeof obj === 'object') ? obj[keys[i]] : undefined, i + 1);
+            return target;
+        };
+
+        this.state = copy(this.state, 0);
+
+        if (!this.changes.has(keys.join('.'))) { this.changes.set(keys.join('.'), old); }
+        this.schedule();
+
+        return this;
+    }
+
+    /**
+     * Update a value from its current value - update('count', (count) => count + 1)
+     *
+     * @param path {String} - the value's path
+     * @param fn {Function} - called with the current value, returns the new value
+     * @return {ElementsStore} - this
+     */
+    update(path, fn) {
+        return this.set(path, fn.call(this, this.get(path)));
+    }
+
+    /**
+     * Define a computed value, read it with get(name) and subscribe or bind to it like any other path
+     *
+     * @param name {String} - the computed value's name
+     * @param deps {Array} - the paths the value is computed from
+     * @param fn {Function} - called with the dependencies values, returns the computed value
+     * @return {ElementsStore} - this
+     */
+    computed(name, deps, fn) {
+        this.computeds[name] = {deps: deps.map(String), fn: fn};
+        return this;
+    }
+
+    /**
+     * Subscribe to a path, the callback is called with (value, old_value, path) when the value changes
+     *
+     * @param path {String} - the path, '' for any change
+     * @param callback {Function} - the subscriber
+     * @param immediate {Boolean} (optional) - call the callback with the current value right away
+     * @return {Function} - unsubscribe function
+     */
+    subscribe(path, callback, immediate) {
+        let subscriber = {path: ElementsStore.path(path).join('.'), callback: callback, value: this.get(path)};
+        this.subscribers.push(subscriber);
+
+        if (immediate) { callback.call(this, subscriber.value, undefined, subscriber.path); }
+
+        return () => {
+            let i = this.subscribers.indexOf(subscriber);
+            if (i > -1) { this.subscribers.splice(i, 1); }
+        };
+    }
+
+    /**
+     * Schedule a flush of the pending changes
+     */
+    schedule() {
+        if (this.scheduled) { return; }
+
+        this.scheduled = true;
+        Promise.resolve().then(() => { this.flush(); });
+    }
+
+    /**
+     * Notify the subscribers of the pending changes and dispatch a store:change event for every changed path
+     *
+     * @return {ElementsStore} - this
+     */
+    flush() {
+        let changes = this.changes;
+
+        this.changes = new Map();
+        this.scheduled = false;
+
+        if (changes.size === 0) { return this; }
+
+        let changed = Array.from(changes.keys());
+
+        // a computed value changes with its dependencies
+        Object.keys(this.computeds).forEach((name) => {
+            if (this.computeds[name].deps.some((dep) => changed.some((path) => ElementsStore.overlaps(dep, path)))) {
+                changed.push(name);
+            }
+        });
+
+        this.subscribers.slice().forEach((subscriber) => {
+            if (this.subscribers.indexOf(subscriber) === -1) { return; }
+            if (!changed.some((path) => ElementsStore.overlaps(subscriber.path, path))) { return; }
+
+            let old = subscriber.value;
+            subscriber.value = this.get(subscriber.path);
+
+            if (!Object.is(old, subscriber.value)) { subscriber.callback.call(this, subscriber.value, old, subscriber.path); }
+        });
+
+        let target = this.target || ((typeof document !== 'undefined') ? document : undefined);
+
+        if (target) {
+            changes.forEach((old, path) => {
+                Elements.dispatch.call(target, 'store:change', {store: this, name: this.name, path: path, value: this.get(path), old: old});
+            });
+        }
+
+        return this;
+    }
+}
+
+/**
+ * Create a reactive state store
+ *
+ * @param state {Object} (optional) - the initial state
+ * @param options {Object} (optional) - name, target - see ElementsStore
+ * @return {ElementsStore} - the store
+ */
+Elements.store = function(state, options) {
+    return new ElementsStore(state, options);
+};
+
+/**
+ * The store bindings cleanups, by element
+ *
+ * @type {WeakMap}
+ */
+Elements.store.bindings = new WeakMap();
+
+/**
+ * Bind an element to a store path - apply is called with the value now and whenever it changes, until the element
+ * is removed from the document (or unbindStore is called)
+ *
+ * @param $el {Element} - the bound element
+ * @param store {ElementsStore} - the store
+ * @param path {String} - the path
+ * @param apply {Function} - called with the value, this is the element
+ * @return {Function} - the cleanup function
+ */
+Elements.store.bind = function($el, store, path, apply) {
+    let unsubscribe = store.subscribe(path, (v) => { apply.call($el, v); }, true);
+    let entry = Elements.store.bindings.get($el);
+
+    if (typeof entry === 'undefined') {
+        entry = {cleanups: []};
+        Elements.store.bindings.set($el, entry);
+
+        if (!$el._storeUnmount) {
+            $el._storeUnmount = true;
+            Elements.methods.Element.onUnmount.call($el, () => { Elements.store.unbind($el); });
+        }
+    }
+
+    let cleanup = {store: store, fn: unsubscribe};
+    entry.cleanups.push(cleanup);
+
+    return cleanup.fn;
+};
+
+/**
+ * Remove an element's store bindings
+ *
+ * @param $el {Element} - the bound element
+ * @param store {ElementsStore} (optional) - only remove the bindings to this store
+ */
+Elements.store.unbind = function($el, store) {
+    let entry = Elements.store.bindings.get($el);
+    if (typeof entry === 'undefined') { return; }
+
+    entry.cleanups = entry.cleanups.filter((cleanup) => {
+        if (typeof store !== 'undefined' && cleanup.store !== store) { return true; }
+
+        cleanup.fn();
+        return false;
+    });
+
+    if (entry.cleanups.length === 0) { Elements.store.bindings.delete($el); }
+};
+
+/**
+ * Bind the element's text to a store path
+ *
+ * @param store {ElementsStore} - the store
+ * @param path {String} - the path
+ * @param format {Function} (optional) - format the value to text
+ * @return {Element} - return this (the element who called the function)
+ */
+Elements.methods.Element.bindText = function(store, path, format) {
+    Elements.store.bind(this, store, path, function(v) {
+        v = format ? format(v) : v;
+        this.textContent = (v === null || typeof v === 'undefined') ? '' : v;
+    });
+
+    return this;
+};
+
+/**
+ * Bind an element's attribute to a store path, false, null and undefined values remove the attribute
+ *
+ * @param k {String} - the attribute name
+ * @param store {ElementsStore} - the store
+ * @param path {String} - the path
+ * @param format {Function} (optional) - format the value to the attribute value
+ * @return {Element} - return this (the element who called the function)
+ */
+Elements.methods.Element.bindAttr = function(k, store, path, format) {
+    Elements.store.bind(this, store, path, function(v) {
+        v = format ? format(v) : v;
+
+        if (v === false || v === null || typeof v === 'undefined') {
+            this.removeAttribute(k);
+        } else {
+            this.setAttribute(k, (v === true) ? '' : v);
+        }
+    });
+
+    return this;
+};
+
+/**
+ * Toggle the element's classes by a store path - the classes are added when the value is truthy
+ *
+ * @param cls {String} - list of class names separated by spaces
+ * @param store {ElementsStore} - the store
+ * @param path {String} - the path
+ * @param format {Function} (optional) - format the value to a Boolean
+ * @return {Element} - return this (the element who called the function)
+ */
+Elements.methods.Element.bindClass = function(cls, store, path, format) {
+    Elements.store.bind(this, store, path, function(v) {
+        v = format ? format(v) : v;
+        (v ? Elements.methods.Element.addClass : Elements.methods.Element.removeClass).call(this, cls);
+    });
+
+    return this;
+};
+
+/**
+ * Two-way bind a form field to a store path - a checkbox is bound to a Boolean (or to an array of values when the
+ * path holds an array), a radio to its group's value, a multi-select to an array of values and any other field to
+ * its value
+ *
+ * @param store {ElementsStore} - the store
+ * @param path {String} - the path
+ * @return {Element} - return this (the element who called the function)
+ */
+Elements.methods.Element.bindValue = function(store, path) {
+    let type = (this.type || '').toLowerCase();
+
+    Elements.store.bind(this, store, path, function(v) {
+        if (type === 'checkbox') {
+            this.checked = Array.isArray(v) ? v.map(String).indexOf(this.value) > -1 : !!v;
+        } else if (type === 'radio') {
+            this.checked = (v !== null && typeof v !== 'undefined' && String(v) === this.value);
+        } else if (this.tagName === 'SELECT' && this.multiple) {
+            let values = (Array.isArray(v) ? v : [v]).map(String);
+            Array.from(this.options).forEach((option) => { option.selected = values.indexOf(option.value) > -1; });
+        } else {
+            v = (v === null || typeof v === 'undefined') ? '' : String(v);
+            if (this.value !== v) { this.value = v; }
+        }
+    });
+
+    let read = () => {
+        let v = store.get(path);
+
+        if (type === 'checkbox') {
+            if (!Array.isArray(v)) { return this.checked; }
+
+            v = v.filter((sub_v) => String(sub_v) !== this.value);
+            return this.checked ? v.concat([this.value]) : v;
+        } else if (type === 'radio') {
+            return this.checked ? this.value : v;
+        } else if (this.tagName === 'SELECT' && this.multiple) {
+            return Array.from(this.options).filter((option) => option.selected).map((option) => option.value);
+        }
+
+        return this.value;
+    };
+
+    let listener = () => { store.set(path, read()); };
+    let events = (type === 'checkbox' || type === 'radio' || this.tagName === 'SELECT') ? 'change' : 'input';
+
+    this.addEventListener(events, listener);
+    Elements.store.bindings.get(this).cleanups.push({store: store, fn: () => { this.removeEventListener(events, listener); }});
+
+    return this;
+};
+
+/**
+ * Remove the element's store bindings
+ *
+ * @param store {ElementsStore} (optional) - only remove the bindings to this store
+ * @return {Element} - return this (the element who called the function)
+ */
+Elements.methods.Element.unbindStore = function(store) {
+    Elements.store.unbind(this, store);
+    return this;
+};
+
+/**
+ * Bind the text of all elements in the NodeList to a store path
+ *
+ * @param store {ElementsStore} - the store
+ * @param path {String} - the path
+ * @param format {Function} (optional) - format the value to text
+ * @return {NodeList} - this
+ */
+Elements.methods.NodeList.bindText = function(store, path, format) {
+    this.forEach((n) => { Elements.methods.Element.bindText.call(n, store, path, format) });
+    return this;
+};
+
+/**
+ * Bind an attribute of all elements in the NodeList to a store path
+ *
+ * @param k {String} - the attribute name
+ * @param store {ElementsStore} - the store
+ * @param path {String} - the path
+ * @param format {Function} (optional) - format the value to the attribute value
+ * @return {NodeList} - this
+ */
+Elements.methods.NodeList.bindAttr = function(k, store, path, format) {
+    this.forEach((n) => { Elements.methods.Element.bindAttr.call(n, k, store, path, format) });
+    return this;
+};
+
+/**
+ * Toggle the classes of all elements in the NodeList by a store path
+ *
+ * @param cls {String} - list of class names separated by spaces
+ * @param store {ElementsStore} - the store
+ * @param path {String} - the path
+ * @param format {Function} (optional) - format the value to a Boolean
+ * @return {NodeList} - this
+ */
+Elements.methods.NodeList.bindClass = function(cls, store, path, format) {
+    this.forEach((n) => { Elements.methods.Element.bindClass.call(n, cls, store, path, format) });
+    return this;
+};
+
+/**
+ * Two-way bind all form fields in the NodeList to a store path - a radio group, a checkbox group, etc...
+ *
+ * @param store {ElementsStore} - the store
+ * @param path {String} - the path
+ * @return {NodeList} - this
+ */
+Elements.methods.NodeList.bindValue = function(store, path) {
+    this.forEach((n) => { Elements.methods.Element.bindValue.call(n, store, path) });
+    return this;
+};
+
+/**
+ * Remove the store bindings of all elements in the NodeList
+ *
+ * @param store {ElementsStore} (optional) - only remove the bindings to this store
+ * @return {NodeList} - this
+ */
+Elements.methods.NodeList.unbindStore = function(store) {
+    this.forEach((n) => { Elements.methods.Element.unbindStore.call(n, store) });
+    return this;
+};
+
+Object.assign(Elements.exports, {
+    ElementsStore: ElementsStore
+});
+
+Elements.sync();
@@ -0,0 +1,90 @@
+/**
+ * Create a tag's factory function - (props, ...children) => Element, like Div(), see h
+ *
+ * @param tag {String} - the tag name, prefixed with its namespace for tags outside HTML - 'svg:a', see Elements.create
+ * @param legacy {Function} (optional) - the built-in constructor the factory shadows as a global (Option, Audio),
+ *                                       calling the factory with new (new Option(text, value)) calls it instead
+ * @return {Function} - the factory function, with the tag name as factory.tag
+ */
+Elements.tag = function(tag, legacy) {
+    let factory = function(props, ...children) {
+        if (new.target && typeof legacy === 'function') { return new legacy(props, ...children); }
+
+        return h(tag, props, ...children);
+    };
+
+    factory.tag = tag;
+    return factory;
+};
+
+/**
+ * The factory functions of all the standard HTML tags and svg, by tag name - Elements.tags.li({class: 'item'}, 'Milk')
+ * the tags without a global name in Elements.tagGlobals - they would shadow a built-in (map, object) or are rarely
+ * built (html, head, body) - are only available here
+ *
+ * @type {Object}
+ */
+Elements.tags = {};
+
+['a', 'abbr', 'address', 'area', 'article', 'aside', 'audio', 'b', 'base', 'bdi', 'bdo', 'blockquote', 'body', 'br',
+ 'button', 'canvas', 'caption', 'cite', 'code', 'col', 'colgroup', 'data', 'datalist', 'dd', 'del', 'details', 'dfn',
+ 'dialog', 'div', 'dl', 'dt', 'em', 'embed', 'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3',
+ 'h4', 'h5', 'h6', 'head', 'header', 'hgroup', 'hr', 'html', 'i', 'iframe', 'img', 'input', 'ins', 'kbd', 'label',
+ 'legend', 'li', 'link', 'main', 'map', 'mark', 'menu', 'meta', 'meter', 'nav', 'noscript', 'object', 'ol',
+ 'optgroup', 'option', 'output', 'p', 'picture', 'pre', 'progress', 'q', 'rp', 'rt', 'ruby', 's', 'samp', 'script',
+ 'search', 'section', 'select', 'slot', 'small', 'source', 'span', 'strong', 'style', 'sub', 'summary', 'sup', 'table',
+ 'tbody', 'td', 'template', 'textarea', 'tfoot', 'th', 'thead', 'time', 'title', 'tr', 'track', 'u', 'ul', 'var',
+ 'video', 'wbr'].forEach((tag) => {
+    let legacy = {option: window.Option, audio: window.Audio}[tag];
+
+    Elements.tags[tag] = Elements.tag(tag, legacy);
+});
+
+/**
+ * Build an svg element - Elements.tags.svg({viewBox: '0 0 24 24'}, Elements.tags.svg.path({d: 'M12 2L2 22h20z'}))
+ * Elements.tags.svg.<tag> builds any SVG tag in the SVG namespace - circle, linearGradient, use({href: '#icon'})
+ *
+ * @param props {Object} (optional) - the element props, see h
+ * @param children {...*} (optional) - the element children, see h
+ * @return {Element} - return a new svg element
+ */
+Elements.tags.svg = Elements.tag('svg:svg');
+
+Elements.svgTags.concat(['a', 'script', 'style', 'title']).forEach((tag) => {
+    Elements.tags.svg[tag] = Elements.tag('svg:' + tag);
+});
+
+/**
+ * The global names of the tag factories, defined on window with ElementsConfig.tag_globals - Li, TBody, Svg
+ *
+ * @type {Object}
+ */
+Elements.tagGlobals = {
+    A: 'a', Abbr: 'abbr', Address: 'address', Area: 'area', Article: 'article', Aside: 'aside', Audio: 'audio', B: 'b',
+    Base: 'base', Bdi: 'bdi', Bdo: 'bdo', BlockQuote: 'blockquote', Br: 'br', Button: 'button', Canvas: 'canvas',
+    Caption: 'caption', Cite: 'cite', Code: 'code', Col: 'col', ColGroup: 'colgroup', Data: 'data',
+    DataList: 'datalist', Dd: 'dd', Del: 'del', Details: 'details', Dfn: 'dfn', Dialog: 'dialog', Dl: 'dl', Dt: 'dt',
+    Em: 'em', Embed: 'embed', FieldSet: 'fieldset', FigCaption: 'figcaption', Figure: 'figure', Footer: 'footer',
+    Form: 'form', H1: 'h1', H2: 'h2', H3: 'h3', H4: 'h4', H5: 'h5', H6: 'h6', Header: 'header', HGroup: 'hgroup',
+    Hr: 'hr', I: 'i', IFrame: 'iframe', Ins: 'ins', Kbd: 'kbd', Label: 'label', Legend: 'legend', Li: 'li',
+    Link: 'link', Main: 'main', Mark: 'mark', Menu: 'menu', Meta: 'meta', Meter: 'meter', Nav: 'nav',
+    NoScript: 'noscript', Ol: 'ol', OptGroup: 'optgroup', Option: 'option', Output: 'output', P: 'p',
+    Picture: 'picture', Pre: 'pre', Progress: 'progress', Q: 'q', Rp: 'rp', Rt: 'rt', Ruby: 'ruby', S: 's',
+    Samp: 'samp', Script: 'script', Search: 'search', Section: 'section', Select: 'select', Slot: 'slot',
+    Small: 'small', Source: 'source', Strong: 'strong', Style: 'style', Sub: 'sub', Summary: 'summary', Sup: 'sup',
+    Table: 'table', TBody: 'tbody', Td: 'td', Template: 'template', TFoot: 'tfoot', Th: 'th', THead: 'thead',
+    Time: 'time', Title: 'title', Tr: 'tr', Track: 'track', U: 'u', Ul: 'ul', Var: 'var', Video: 'video', Wbr: 'wbr',
+    Svg: 'svg'
+};
+
+Object.keys(Elements.tagGlobals).forEach((name) => {
+    Elements.exports[name] = Elements.tags[Elements.tagGlobals[name]];
+});
+
+// the tag factories are globals only on request - A, Label or Option would clash with the scripts of the page
+if (typeof ElementsConfig !== 'undefined' && ElementsConfig.tag_globals === true) {
+    Elements.defineGlobals(Object.keys(Elements.tagGlobals).reduce((globals, name) => {
+        globals[name] = Elements.exports[name];
+        return globals;
+    }, {}), ['Option', 'Audio']);
+}